@@ -6,12 +6,17 @@
  * @see lib/config.js      — Environment vars & paths
  * @see lib/logger.js       — Structured logging
  * @see lib/storage.js      — R2 download/upload/cleanup
+ * @see lib/jobstore.js     — Persistent job records
+ * @see lib/brandkits.js    — Brand kit store & effects merge
+ * @see lib/queue.js        — Priority render queue
  * @see lib/presets.js       — Color presets
  * @see lib/fonts.js         — Font download system (NEW)
  * @see lib/schema.js        — Effects API schema
+ * @see lib/validate.js      — /render payload validation
  * @see lib/metadata.js      — ffprobe metadata extraction
  * @see lib/output.js        — Encoding quality options
  * @see lib/filters/         — Filter chain builders
+ * @see lib/command.js       — FFmpeg command planning
  * @see lib/render.js        — Main render pipeline
  */
 
@@ -20,14 +25,18 @@ const { execSync } = require('child_process');
 const path = require('path');
 const fs = require('fs');
 
-const { PORT, TEMP_DIR, R2_ACCOUNT_ID } = require('./lib/config');
+const { PORT, TEMP_DIR, R2_ACCOUNT_ID, JOB_RETENTION_HOURS, RENDER_WORKERS, MAX_QUEUE_SIZE } = require('./lib/config');
 const { log } = require('./lib/logger');
-const { EFFECTS_SCHEMA } = require('./lib/schema');
-const { COLOR_PRESETS, getFontFamilies } = require('./lib/presets');
+const { EFFECTS_SCHEMA, TIMELINE_SCHEMA, TEXT_LAYER, BRAND_KIT_SCHEMA } = require('./lib/schema');
+const { validateRenderPayload, validateBrandKit, BRAND_KIT_ID } = require('./lib/validate');
+const { COLOR_PRESETS, TRANSITIONS, LOUDNESS_PRESETS, getFontFamilies } = require('./lib/presets');
 const { initFonts, buildFontFamilies, FONT_CATEGORIES } = require('./lib/fonts');
-const { handleRender } = require('./lib/render');
+const { handleRender, previewRender, sendCallbackWithBackoff } = require('./lib/render');
 const { setFontFamilies: updatePresetFonts } = require('./lib/presets');
-const { clearTempDirectory, getAvailableDiskSpace } = require('./lib/storage');
+const { clearTempDirectory, cleanupFiles, getAvailableDiskSpace } = require('./lib/storage');
+const { jobStore, TERMINAL_STATUSES } = require('./lib/jobstore');
+const { brandKitStore, applyBrandKit, slugify } = require('./lib/brandkits');
+const { createRenderQueue } = require('./lib/queue');
 
 // ============================================================
 // EXPRESS APP
@@ -45,29 +54,76 @@ app.use((req, res, next) => {
 app.use(express.json({ limit: '10mb' }));
 
 // ============================================================
-// JOB TRACKING & CONCURRENCY
+// JOB TRACKING & QUEUE
 // ============================================================
-const jobs = new Map();
-const MAX_CONCURRENT_JOBS = 5;
-let activeJobs = 0;
 
 /**
- * Job status updater with auto-cleanup for old jobs.
- * Jobs older than 1 hour are deleted to prevent memory leaks.
+ * Job status updater — merges into the persistent job store.
  */
 function setJobStatus(jobId, status, extra = {}) {
-    const now = new Date();
-    jobs.set(jobId, { status, ...extra, updated_at: now.toISOString() });
-
-    // Cleanup old jobs every update (simple strategy)
-    if (jobs.size > 100) {
-        const oneHourAgo = now.getTime() - 60 * 60 * 1000;
-        for (const [id, job] of jobs) {
-            if (new Date(job.updated_at).getTime() < oneHourAgo) {
-                jobs.delete(id);
-            }
-        }
+    jobStore.update(jobId, status, extra);
+}
+
+/**
+ * Local output files of a V2 job (video and subtitle sidecars, in TEMP_DIR).
+ * @param {Object} job - Job record
+ * @returns {string[]} File names
+ */
+function jobOutputFiles(job) {
+    return [job.output_file, ...(job.sidecar_files || [])].filter(Boolean);
+}
+
+/**
+ * Drop finished jobs past the retention window, together with their V2 output files.
+ */
+function pruneJobs() {
+    const expired = jobStore.prune(JOB_RETENTION_HOURS * 60 * 60 * 1000);
+    cleanupFiles(...expired.flatMap(jobOutputFiles).map(file => path.join(TEMP_DIR, file)));
+    if (expired.length > 0) log(null, 'info', `Pruned ${expired.length} expired jobs.`);
+}
+
+/** Public view of a job record (the raw request payload is omitted, live queue info added) */
+function publicJob(jobId, job) {
+    const { payload, server_url, ...rest } = job;
+    return { job_id: jobId, ...rest, ...renderQueue.getPosition(jobId) };
+}
+
+/**
+ * Render queue — RENDER_WORKERS jobs run in parallel, the rest wait in priority order.
+ */
+const renderQueue = createRenderQueue({
+    concurrency: RENDER_WORKERS,
+    maxSize: MAX_QUEUE_SIZE,
+    worker: (jobId, job, signal) => {
+        const { payload, project_id, callback_url, server_url } = job;
+        setJobStatus(jobId, 'processing', { progress: 0 });
+        return handleRender({
+            jobId,
+            project_id,
+            timeline: payload.timeline, // V2
+            video_url: payload.video_url, audio_url: payload.audio_url,
+            subtitle_url: payload.subtitle_url, subtitle_content: payload.subtitle_content, // V1
+            text_overlay: payload.text_overlay, effects: payload.effects, // V1 + V2
+            callback_url,
+            setJobStatus,
+            serverUrl: server_url,
+            signal,
+        });
+    },
+});
+
+/**
+ * Put a stored job on the render queue.
+ * @returns {Object|null} Queue position info, or null if the queue is full (job marked as error)
+ */
+function enqueueJob(jobId, job) {
+    const position = renderQueue.enqueue(jobId, job, { priority: job.priority });
+    if (!position) {
+        setJobStatus(jobId, 'error', { error: 'Queue full' });
+    } else if (position.queue_position > 0) {
+        setJobStatus(jobId, 'queued');
     }
+    return position;
 }
 
 // ============================================================
@@ -83,8 +139,19 @@ app.get('/', (req, res) => {
             'GET  /': 'This info page',
             'GET  /health': 'Health check',
             'GET  /effects': 'Effects API reference',
-            'POST /render': 'Submit render job',
-            'GET  /status/:jobId': 'Check job status',
+            'POST /render': 'Submit render job (400 with field-level errors if invalid; `clamp: true` clamps out-of-range values; 409 while the job_id is unfinished, a finished job_id is replaced)',
+            'POST /validate': 'Validate a render payload without queueing it',
+            'POST /render/preview-command': 'Dry run: FFmpeg inputs, filter graph, maps & output options (also `dry_run: true` on /render)',
+            'GET  /status/:jobId': 'Check job status (incl. queue position & ETA)',
+            'GET  /queue': 'Running and waiting jobs',
+            'GET  /jobs': 'List jobs (?status=&project_id=&callback_status=&limit=)',
+            'GET  /jobs/:jobId': 'Full job record incl. original payload',
+            'DELETE /jobs/:jobId': 'Cancel a queued or running job (alias: POST /jobs/:jobId/cancel)',
+            'GET  /brand-kits': 'List brand kits (`brand_kit: "<id>"` on /render merges one into effects)',
+            'POST /brand-kits': 'Create a brand kit (fonts, palette, logo, subtitles, text, color_preset)',
+            'GET  /brand-kits/:id': 'Get a brand kit',
+            'PUT  /brand-kits/:id': 'Replace a brand kit',
+            'DELETE /brand-kits/:id': 'Delete a brand kit',
         },
     });
 });
@@ -97,8 +164,11 @@ app.get('/health', async (req, res) => {
     res.json({
         status: ffmpegAvailable ? 'ok' : 'degraded',
         ffmpeg: ffmpegAvailable,
-        active_jobs: activeJobs,
-        jobs_tracked: jobs.size,
+        text_shaping: ffmpegAvailable && checkTextShaping(),
+        active_jobs: renderQueue.runningCount,
+        queued_jobs: renderQueue.waitingCount,
+        jobs_tracked: jobStore.size,
+        job_store: jobStore.backend,
         disk_free_mb: Math.round(diskSpace / 1024 / 1024),
         uptime: Math.round(process.uptime()),
     });
@@ -109,19 +179,82 @@ app.get('/effects', (req, res) => {
     res.json({
         description: 'Available video effects',
         effects: EFFECTS_SCHEMA,
+        timeline: TIMELINE_SCHEMA,
+        text_layer: TEXT_LAYER,
+        brand_kit: BRAND_KIT_SCHEMA,
         fonts: getFontFamilies(),
         font_categories: FONT_CATEGORIES,
         color_presets: Object.keys(COLOR_PRESETS),
+        transitions: Object.keys(TRANSITIONS),
+        loudness_presets: LOUDNESS_PRESETS,
+        requirements: {
+            text_shaping: 'RTL and joined scripts (Arabic, Hebrew, Indic) in text overlays need drawtext with HarfBuzz shaping (FFmpeg 7.1+, `text_shaping` option) — see /health',
+        },
     });
 });
 
 /** Job status */
 app.get('/status/:jobId', (req, res) => {
-    const job = jobs.get(req.params.jobId);
+    const job = jobStore.get(req.params.jobId);
     if (!job) return res.status(404).json({ error: 'Job not found', job_id: req.params.jobId });
-    res.json({ job_id: req.params.jobId, ...job });
+    res.json(publicJob(req.params.jobId, job));
+});
+
+/** Render queue */
+app.get('/queue', (req, res) => {
+    res.json(renderQueue.snapshot());
 });
 
+/** Job listing — used to reconcile missed callbacks (e.g. ?callback_status=failed) */
+app.get('/jobs', (req, res) => {
+    const { status, project_id, callback_status } = req.query;
+    let jobs = jobStore.list({ status, project_id });
+    if (callback_status) jobs = jobs.filter(j => j.callback_status === callback_status);
+    const limit = parseInt(req.query.limit, 10) || 100;
+    res.json({ count: Math.min(jobs.length, limit), jobs: jobs.slice(0, limit).map(j => publicJob(j.job_id, j)) });
+});
+
+/** Full job record */
+app.get('/jobs/:jobId', (req, res) => {
+    const job = jobStore.get(req.params.jobId);
+    if (!job) return res.status(404).json({ error: 'Job not found', job_id: req.params.jobId });
+    res.json({ job_id: req.params.jobId, ...job, payload: jobStore.getPayload(req.params.jobId) });
+});
+
+/**
+ * Cancel a job. Queued jobs are dropped here; running jobs are aborted and
+ * handleRender kills FFmpeg, cleans up and sends the `cancelled` callback.
+ * A running job answered with `cancelling` always ends `cancelled` (handleRender re-checks
+ * the signal before marking it done); a job that is already done gets a 409.
+ */
+async function cancelJob(req, res) {
+    const jobId = req.params.jobId;
+    const job = jobStore.get(jobId);
+    if (!job) return res.status(404).json({ error: 'Job not found', job_id: jobId });
+    if (TERMINAL_STATUSES.includes(job.status)) {
+        return res.status(409).json({ error: `Job already ${job.status}`, job_id: jobId, status: job.status });
+    }
+
+    const where = renderQueue.cancel(jobId);
+    if (where === 'running') {
+        log(jobId, 'info', 'Cancellation requested, stopping render...');
+        return res.json({ job_id: jobId, status: 'cancelling' });
+    }
+
+    // Waiting (or orphaned) job — nothing is running, finish it here
+    log(jobId, 'info', 'Cancelled before start.');
+    setJobStatus(jobId, 'cancelled');
+    res.json({ job_id: jobId, status: 'cancelled' });
+
+    if (job.callback_url) {
+        const sent = await sendCallbackWithBackoff(jobId, job.callback_url, { job_id: jobId, project_id: job.project_id, status: 'cancelled' });
+        setJobStatus(jobId, 'cancelled', { callback_status: sent ? 'sent' : 'failed' });
+    }
+}
+
+app.delete('/jobs/:jobId', cancelJob);
+app.post('/jobs/:jobId/cancel', cancelJob);
+
 /** Download result (Internal/Ephemeral) */
 app.get('/download/:filename', (req, res) => {
     const safeName = path.basename(req.params.filename);
@@ -131,16 +264,60 @@ app.get('/download/:filename', (req, res) => {
 });
 
 
+/**
+ * Validate a render payload, with its `brand_kit` (if any) merged into `effects` first —
+ * so queued jobs keep the kit as it was at submission.
+ * @returns {{ valid: boolean, errors: Object[], warnings: Object[], normalized: Object }}
+ */
+function validateRender(body) {
+    const kitId = typeof body.brand_kit === 'string' ? body.brand_kit : null;
+    const kit = kitId ? brandKitStore.get(kitId) : null;
+    const merged = kit ? { ...body, effects: applyBrandKit(body.effects || {}, kit) } : body;
+    const validation = validateRenderPayload(merged, { clamp: body.clamp === true });
+    if (kitId && !kit) {
+        validation.errors.push({ path: 'brand_kit', expected: 'id of a stored brand kit (GET /brand-kits)', got: kitId });
+        validation.valid = false;
+    }
+    return validation;
+}
+
+/** Validate a render payload (same rules as /render, nothing is queued) */
+app.post('/validate', (req, res) => {
+    const { valid, errors, warnings, normalized } = validateRender(req.body || {});
+    res.status(valid ? 200 : 400).json({ valid, errors, warnings, normalized });
+});
+
+/** Dry run — same validation as /render, returns the planned FFmpeg command */
+async function sendPreview(res, payload) {
+    try {
+        res.json({ dry_run: true, job_id: payload.job_id, ...(await previewRender(payload)) });
+    } catch (e) {
+        res.status(500).json({ error: `Preview failed: ${e.message}`, job_id: payload.job_id });
+    }
+}
+
+app.post('/render/preview-command', async (req, res) => {
+    const body = req.body || {};
+    if (!body.timeline && (!body.video_url || !body.audio_url)) {
+        return res.status(400).json({ error: 'Missing requirements: provide `timeline` (V2) or `video_url` + `audio_url` (V1)' });
+    }
+    const validation = validateRender(body);
+    if (!validation.valid) return res.status(400).json({ error: 'Invalid payload', errors: validation.errors });
+    await sendPreview(res, validation.normalized);
+});
+
 /**
  * POST /render — Submit a render job.
+ * A job_id that is still created/queued/processing gets a 409; reusing the id of a finished job
+ * (done, error, cancelled) replaces its record, history and output.
  */
 app.post('/render', async (req, res) => {
     // V2 Payload: timeline (array), OR V1 Payload: video_url, audio_url
     const {
         job_id, project_id,
         timeline, // V2
-        video_url, audio_url, text_overlay, subtitle_url, subtitle_content, effects, // V1
-        callback_url
+        video_url, audio_url, // V1
+        callback_url, priority
     } = req.body;
 
     if (!job_id) return res.status(400).json({ error: 'Missing job_id' });
@@ -148,28 +325,93 @@ app.post('/render', async (req, res) => {
         return res.status(400).json({ error: 'Missing requirements: provide `timeline` (V2) or `video_url` + `audio_url` (V1)' });
     }
 
-    // Concurrency check
-    if (activeJobs >= MAX_CONCURRENT_JOBS) {
-        return res.status(503).json({ error: 'Server busy', active_jobs: activeJobs, max: MAX_CONCURRENT_JOBS });
+    const validation = validateRender(req.body);
+    if (!validation.valid) {
+        return res.status(400).json({ error: 'Invalid payload', job_id, errors: validation.errors });
     }
+    if (req.body.dry_run === true) return sendPreview(res, validation.normalized);
 
-    setJobStatus(job_id, 'processing', { project_id, progress: 0 });
-    res.json({ message: 'Render job queued', job_id, status: 'processing' });
-
-    activeJobs++;
+    // An unfinished job keeps its id; resubmitting a finished one (e.g. a retry after an error) replaces its record
+    const existing = jobStore.get(job_id);
+    if (renderQueue.has(job_id) || (existing && !TERMINAL_STATUSES.includes(existing.status))) {
+        return res.status(409).json({ error: 'Job already queued or running', job_id, status: existing ? existing.status : 'queued' });
+    }
+    if (renderQueue.waitingCount >= MAX_QUEUE_SIZE) {
+        return res.status(503).json({ error: 'Queue full', queued_jobs: renderQueue.waitingCount, max: MAX_QUEUE_SIZE });
+    }
 
-    // Fire-and-forget async render
-    handleRender({
-        jobId: job_id,
+    const job = jobStore.create(job_id, {
         project_id,
-        timeline, // V2
-        video_url, audio_url, text_overlay, subtitle_url, subtitle_content, effects, // V1
         callback_url,
-        setJobStatus,
-        serverUrl: process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}` // Pass server URL for download link generation
-    }).finally(() => {
-        activeJobs--;
+        priority,
+        payload: validation.normalized,
+        server_url: process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`, // For download link generation
     });
+
+    const position = enqueueJob(job_id, job);
+    const status = position.queue_position > 0 ? 'queued' : 'processing';
+    const response = { message: 'Render job queued', job_id, status, ...position };
+    if (validation.warnings.length > 0) Object.assign(response, { warnings: validation.warnings, normalized: validation.normalized });
+    res.json(response);
+});
+
+// ============================================================
+// BRAND KITS
+// ============================================================
+
+/** Brand kit listing */
+app.get('/brand-kits', (req, res) => {
+    const kits = brandKitStore.list();
+    res.json({ count: kits.length, brand_kits: kits });
+});
+
+/** Single brand kit */
+app.get('/brand-kits/:id', (req, res) => {
+    const kit = brandKitStore.get(req.params.id);
+    if (!kit) return res.status(404).json({ error: 'Brand kit not found', id: req.params.id });
+    res.json({ id: req.params.id, ...kit });
+});
+
+/** Create a brand kit — id from `id`, else derived from `name` */
+app.post('/brand-kits', (req, res) => {
+    const body = req.body || {};
+    const validation = validateBrandKit(body, { clamp: body.clamp === true });
+    if (!validation.valid) return res.status(400).json({ error: 'Invalid brand kit', errors: validation.errors });
+
+    const { id: requestedId, ...kit } = validation.normalized;
+    const id = requestedId || slugify(kit.name);
+    if (!BRAND_KIT_ID.test(id)) {
+        return res.status(400).json({ error: 'Invalid brand kit', errors: [{ path: 'brand_kit.id', expected: 'id (no usable characters in `name`)', got: 'missing' }] });
+    }
+    if (brandKitStore.get(id)) return res.status(409).json({ error: 'Brand kit already exists', id });
+
+    const response = { id, ...brandKitStore.put(id, kit) };
+    if (validation.warnings.length > 0) response.warnings = validation.warnings;
+    res.status(201).json(response);
+});
+
+/** Replace a brand kit */
+app.put('/brand-kits/:id', (req, res) => {
+    const id = req.params.id;
+    if (!brandKitStore.get(id)) return res.status(404).json({ error: 'Brand kit not found', id });
+
+    const body = req.body || {};
+    const validation = validateBrandKit(body, { clamp: body.clamp === true });
+    const { id: bodyId, ...kit } = validation.normalized;
+    if (bodyId !== undefined && bodyId !== id) {
+        validation.errors.push({ path: 'brand_kit.id', expected: `${id} (kits can't be renamed)`, got: bodyId });
+    }
+    if (validation.errors.length > 0) return res.status(400).json({ error: 'Invalid brand kit', id, errors: validation.errors });
+
+    const response = { id, ...brandKitStore.put(id, kit) };
+    if (validation.warnings.length > 0) response.warnings = validation.warnings;
+    res.json(response);
+});
+
+/** Delete a brand kit (queued jobs keep the effects they were merged with) */
+app.delete('/brand-kits/:id', (req, res) => {
+    if (!brandKitStore.remove(req.params.id)) return res.status(404).json({ error: 'Brand kit not found', id: req.params.id });
+    res.json({ id: req.params.id, deleted: true });
 });
 
 // ============================================================
@@ -180,6 +422,12 @@ function checkFFmpeg() {
     catch { return false; }
 }
 
+/** Whether drawtext shapes text with HarfBuzz (has the `text_shaping` option) */
+function checkTextShaping() {
+    try { return /\btext_shaping\b/.test(execSync('ffmpeg -hide_banner -h filter=drawtext', { stdio: 'pipe' }).toString()); }
+    catch { return false; }
+}
+
 // ============================================================
 // STARTUP
 // ============================================================
@@ -188,15 +436,26 @@ const server = app.listen(PORT, async () => {
     log(null, 'info', `🎬 FFmpeg Render Server v3.1`);
     log(null, 'info', `   Port: ${PORT}`);
 
-    // 1. Cleanup Temp
+    // 1. Restore jobs & cleanup Temp (finished V2 outputs are kept for /download)
+    const interrupted = jobStore.recoverInterrupted(['queued']);
+    pruneJobs();
+    log(null, 'info', `   Jobs: ${jobStore.size} restored (${jobStore.backend} store, ${interrupted} interrupted)`);
     log(null, 'info', `   Cleaning temp dir...`);
-    clearTempDirectory();
+    clearTempDirectory(jobStore.list({ status: 'done' }).flatMap(jobOutputFiles));
+    setInterval(pruneJobs, 60 * 60 * 1000).unref();
+
+    // 2. Resume jobs that were still waiting when the server stopped (oldest first) — before
+    //    anything is awaited, so they stay ahead of jobs submitted during startup
+    const pending = jobStore.list({ status: 'queued' }).reverse();
+    for (const job of pending) enqueueJob(job.job_id, job);
+    if (pending.length > 0) log(null, 'info', `   Queue: ${pending.length} waiting jobs resumed`);
 
-    // 2. Check FFmpeg
+    // 3. Check FFmpeg
     const ffmpegOk = checkFFmpeg();
     log(null, 'info', `   FFmpeg: ${ffmpegOk ? '✅ Available' : '❌ NOT FOUND'}`);
+    if (ffmpegOk && !checkTextShaping()) log(null, 'warn', `   drawtext has no text shaping — RTL/complex scripts in text overlays render unjoined`);
 
-    // 3. Init Fonts
+    // 4. Init Fonts
     log(null, 'info', `   Initializing fonts...`);
     try {
         const stats = await initFonts();
@@ -219,6 +478,7 @@ process.on('SIGINT', shutdown);
 
 function shutdown() {
     log(null, 'info', 'Shutting down...');
+    jobStore.flush();
     server.close(() => {
         log(null, 'info', 'Server closed.');
         process.exit(0);
@@ -0,0 +1,153 @@
+/**
+ * @module brandkits
+ * @description Brand kits — named style bundles (fonts, palette, logo, subtitle and text style,
+ * color preset) stored server-side and merged into a render's `effects` via `brand_kit`.
+ *
+ * Kits are persisted like jobs (file or memory backend, see jobstore.js). Every change is
+ * written immediately; a queued job keeps the effects it was merged with.
+ */
+
+const { BRAND_KIT_STORE, BRAND_KIT_STORE_PATH } = require('./config');
+const { log } = require('./logger');
+const { createFileBackend, createMemoryBackend } = require('./jobstore');
+
+/**
+ * Kit id from a display name ("Acme Shop!" → "acme-shop").
+ * @param {string} name - Kit name
+ * @returns {string}
+ */
+function slugify(name) {
+    return String(name)
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9_-]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 64);
+}
+
+/**
+ * Create a brand kit store on top of a backend.
+ * @param {{ load: function(): Object, save: function(Object): void }} backend
+ * @returns {Object} Brand kit store API
+ */
+function createBrandKitStore(backend) {
+    const kits = new Map(Object.entries(backend.load()));
+
+    function save() {
+        try {
+            backend.save(Object.fromEntries(kits));
+        } catch (e) {
+            log(null, 'error', `Brand kit store write failed: ${e.message}`);
+        }
+    }
+
+    /**
+     * @param {string} id - Kit id
+     * @returns {Object|undefined} Kit record
+     */
+    function get(id) {
+        return kits.get(id);
+    }
+
+    /**
+     * @returns {Object[]} Kits with `id` included, by name
+     */
+    function list() {
+        return [...kits]
+            .map(([id, kit]) => ({ ...kit, id }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Store a new kit or replace an existing one.
+     * @param {string} id - Kit id
+     * @param {Object} kit - Validated kit (without `id`)
+     * @returns {Object} The stored record
+     */
+    function put(id, kit) {
+        const now = new Date().toISOString();
+        const prev = kits.get(id);
+        const record = { ...kit, created_at: prev ? prev.created_at : now, updated_at: now };
+        kits.set(id, record);
+        save();
+        return record;
+    }
+
+    /**
+     * @param {string} id - Kit id
+     * @returns {boolean} Whether a kit was removed
+     */
+    function remove(id) {
+        const removed = kits.delete(id);
+        if (removed) save();
+        return removed;
+    }
+
+    return {
+        backend: backend.name,
+        get,
+        list,
+        put,
+        remove,
+        get size() { return kits.size; },
+    };
+}
+
+/**
+ * Request values over kit values; null (= unset) request values don't hide the kit's.
+ * @param {...Object} layers - Objects, lowest priority first (undefined/null skipped)
+ * @returns {Object|undefined} Merged object, or undefined when empty
+ */
+function layerStyles(...layers) {
+    const merged = {};
+    for (const layer of layers) {
+        if (!layer) continue;
+        for (const [key, value] of Object.entries(layer)) {
+            if (value !== undefined && value !== null) merged[key] = value;
+        }
+    }
+    return Object.keys(merged).length > 0 ? merged : undefined;
+}
+
+/**
+ * Merge a brand kit into an effects object. Per key, the request wins over the kit's own groups
+ * (logo, subtitles, text), which win over defaults derived from fonts and palette.
+ * The kit's color preset applies only when the request sets no `effects.color`.
+ * @param {Object} [effects={}] - Request effects
+ * @param {Object} kit - Brand kit record
+ * @returns {Object} New effects object
+ */
+function applyBrandKit(effects = {}, kit) {
+    const fonts = kit.fonts || {};
+    const palette = kit.palette || {};
+    const out = { ...effects };
+
+    const text = layerStyles({ font_family: fonts.heading, font_color: palette.text }, kit.text, effects.text);
+    if (text) out.text = text;
+
+    const subtitles = layerStyles(
+        { font_family: fonts.body, font_color: palette.text, highlight_color: palette.accent },
+        kit.subtitles,
+        effects.subtitles,
+    );
+    if (subtitles) out.subtitles = subtitles;
+
+    const watermark = layerStyles(kit.logo, effects.watermark);
+    if (watermark) out.watermark = watermark;
+
+    if (kit.color_preset && !layerStyles(effects.color)) out.color = { preset: kit.color_preset };
+    return out;
+}
+
+/** Process-wide brand kit store, backend selected by BRAND_KIT_STORE */
+const brandKitStore = createBrandKitStore(
+    BRAND_KIT_STORE === 'memory' ? createMemoryBackend() : createFileBackend(BRAND_KIT_STORE_PATH, 'brand_kits')
+);
+
+module.exports = {
+    slugify,
+    createBrandKitStore,
+    applyBrandKit,
+    brandKitStore,
+};
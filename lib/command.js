@@ -0,0 +1,814 @@
+/**
+ * @module command
+ * @description FFmpeg command planning — turns a render payload plus resolved inputs into a plan
+ * (inputs, filter graph, maps, output options) that render.js executes and /render/preview-command returns.
+ *
+ * Plans are plain objects so they can be inspected without spawning FFmpeg:
+ *   { inputs: [{ path, options }], filters: string[], maps: string[], outputOptions: string[],
+ *     tempFiles: string[], fonts: Object, expectedDuration: number, audioOut: string|null,
+ *     sidecars: [{ format, path }] }
+ */
+
+const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs');
+const path = require('path');
+
+const { generateAss } = require('./subtitles');
+const { escapeFfmpegPath, buildTextLayers } = require('./filters/text');
+const { buildFilterChain } = require('./filters');
+const { getMusicInputOptions, buildMusicBed, buildDuckingFilters } = require('./filters/audio');
+const { buildSubtitleFilter, buildSoftSubtitles } = require('./filters/subtitle');
+const { buildWatermarkFilter } = require('./filters/watermark');
+const { buildOverlayFilter } = require('./filters/overlay');
+const { getCropSize, applyFit } = require('./filters/video');
+const { getOutputOptions } = require('./output');
+const { FONTS_DIR } = require('./fonts');
+const { TRANSITIONS } = require('./presets');
+const { CLIP_EFFECTS } = require('./schema');
+
+/** Timeline item types that form the visual sequence (concatenated in timeline order) */
+const SEQUENCE_TYPES = ['video', 'image', 'color'];
+
+/**
+ * Overlay track of a V2 item (`track`, or its alias `layer`); 0 = base sequence.
+ * @param {Object} item - Timeline item
+ * @returns {number}
+ */
+function itemTrack(item) {
+    return item.track ?? item.layer ?? 0;
+}
+
+/**
+ * @param {Object} item - Timeline item
+ * @returns {boolean} true for video/image/color items on the base sequence
+ */
+function isSequenceClip(item) {
+    return SEQUENCE_TYPES.includes(item.type) && !(itemTrack(item) > 0);
+}
+
+/** Common format for clip audio so concat/acrossfade accept every segment */
+const AUDIO_FORMAT = 'aformat=sample_fmts=fltp:sample_rates=48000:channel_layouts=stereo';
+
+/**
+ * Create an empty plan.
+ * @returns {Object}
+ */
+function createPlan() {
+    return { inputs: [], filters: [], maps: [], outputOptions: [], tempFiles: [], fonts: {}, expectedDuration: 0, audioOut: null, sidecars: [] };
+}
+
+/**
+ * Register an input and return its index.
+ * @param {Object} plan - Plan being built
+ * @param {string} inputPath - Local path or URL
+ * @param {string[]} [options=[]] - Input options (e.g. ['-loop 1'])
+ * @returns {number} Input index for stream specifiers
+ */
+function addInput(plan, inputPath, options = []) {
+    plan.inputs.push({ path: inputPath, options });
+    return plan.inputs.length - 1;
+}
+
+/**
+ * Expected V1 output duration: the shorter input (-shortest), adjusted by
+ * effects.speed and capped by effects.output.max_duration.
+ * @param {number} videoDuration - Probed video duration (seconds)
+ * @param {number} [audioDuration] - Probed audio duration (seconds)
+ * @param {Object} [effects={}] - Effects payload
+ * @returns {number} Seconds
+ */
+function expectedOutputDuration(videoDuration, audioDuration, effects = {}) {
+    const speed = Math.max(0.25, Math.min(4.0, effects.speed || 1));
+    let duration = audioDuration > 0 ? Math.min(videoDuration, audioDuration) : videoDuration;
+    duration = duration / speed;
+    const maxDuration = effects.output && effects.output.max_duration;
+    if (maxDuration > 0) duration = Math.min(duration, maxDuration);
+    return duration;
+}
+
+/**
+ * Output length of a V2 clip: trim length after per-clip speed for videos, `duration` for images/colors.
+ * @param {Object} seg - Timeline video/image/color item
+ * @returns {number} Seconds
+ */
+function clipDuration(seg) {
+    if (seg.type !== 'video') return Math.max(0, seg.duration || 0);
+    const speed = Math.max(0.25, Math.min(4.0, (seg.effects && seg.effects.speed) || 1));
+    return Math.max(0, (seg.end || 0) - (seg.start || 0)) / speed;
+}
+
+/**
+ * Overlap of each V2 clip with the previous one (0 for the first clip and hard cuts).
+ * Capped at half the shorter neighbour so consecutive transitions never overlap each other.
+ * @param {Object[]} videos - Timeline clips (video/image/color), in order
+ * @returns {number[]} Seconds, one per clip
+ */
+function transitionOverlaps(videos) {
+    return videos.map((seg, idx) => {
+        if (idx === 0 || !seg.transition) return 0;
+        const wanted = seg.transition.duration || 0.5;
+        return Math.min(wanted, clipDuration(videos[idx - 1]) / 2, clipDuration(seg) / 2);
+    });
+}
+
+/**
+ * Map hard-cut timeline seconds (clips back to back) onto the output timeline after transition
+ * overlaps: a time inside clip k moves earlier by the overlaps of clips 1..k.
+ * @param {Object[]} videos - Timeline clips (video/image/color), in order
+ * @returns {function(number): number}
+ */
+function createOverlapShift(videos) {
+    const overlaps = transitionOverlaps(videos);
+    const bounds = [];
+    let start = 0;
+    let shift = 0;
+    videos.forEach((seg, idx) => {
+        shift += overlaps[idx];
+        bounds.push({ start, shift });
+        start += clipDuration(seg);
+    });
+
+    return (t) => {
+        let applied = 0;
+        for (const b of bounds) {
+            if (t < b.start) break;
+            applied = b.shift;
+        }
+        return Math.max(0, t - applied);
+    };
+}
+
+/**
+ * Expected V2 output duration: sequence length (after per-clip speed and transition overlaps),
+ * or the last item end if there are no video/image/color clips.
+ * @param {Object[]} timeline - V2 timeline items
+ * @returns {number} Seconds
+ */
+function timelineDuration(timeline) {
+    const videos = timeline.filter(isSequenceClip);
+    if (videos.length > 0) {
+        const overlap = transitionOverlaps(videos).reduce((sum, o) => sum + o, 0);
+        return videos.reduce((sum, v) => sum + clipDuration(v), 0) - overlap;
+    }
+    return timeline.reduce((max, t) => Math.max(max, t.end || 0), 0);
+}
+
+/**
+ * Append a linear filter chain to the graph.
+ * @param {Object} plan - Plan being built
+ * @param {string} from - Input label, e.g. "[0:v]"
+ * @param {string[]} filters - Filters to chain (empty = passthrough)
+ * @param {string} label - Output label name (without brackets)
+ * @returns {string} Output label, e.g. "[vBase]"
+ */
+function pushChain(plan, from, filters, label) {
+    plan.filters.push(`${from}${filters.length > 0 ? filters.join(',') : 'null'}[${label}]`);
+    return `[${label}]`;
+}
+
+/**
+ * Plan a V1 render: one video + one voice-over (+ optional music bed), effects, watermark, subtitles and text overlay.
+ * Layer order: effects → watermark → subtitles/text (captions stay above the logo).
+ *
+ * @param {Object} params
+ * @param {string} params.jobId - Job identifier (temp file naming)
+ * @param {string} params.tempDir - Directory for generated files (ASS, text)
+ * @param {string} params.videoPath - Video input (local path or URL)
+ * @param {string} params.audioPath - Audio input (local path or URL)
+ * @param {Object} params.videoMeta - { width, height, duration, fps }
+ * @param {Object} [params.audioMeta] - { duration } (used for the expected duration)
+ * @param {Object} [params.effects={}] - effects payload
+ * @param {string} [params.srtContent] - Raw SRT content
+ * @param {string|Object[]} [params.textOverlay] - Text overlay string, or timed text layers
+ * @param {string} [params.watermarkPath] - Watermark image input (local path or URL)
+ * @param {boolean} [params.watermarkAnimated=false] - Loop the watermark input (GIF/APNG)
+ * @param {string} [params.musicPath] - Background music input (effects.audio.music_url), ducked under the voice-over
+ * @param {Object} [params.loudness] - Measured loudnorm stats (two-pass normalization, second pass)
+ * @returns {Object} Plan
+ */
+function planV1({ jobId, tempDir, videoPath, audioPath, videoMeta, audioMeta, effects = {}, srtContent, textOverlay, watermarkPath, watermarkAnimated = false, musicPath, loudness }) {
+    const plan = createPlan();
+    const vIn = addInput(plan, videoPath);
+    const aIn = addInput(plan, audioPath);
+
+    const { videoFilters, audioFilters } = buildFilterChain(effects, videoMeta, { loudness });
+    const captionFilters = [];
+    const captionImages = [];
+
+    // Captions are drawn on the cropped frame
+    const frame = getCropSize(effects.crop, videoMeta.width || 1080, videoMeta.height || 1920);
+
+    // Subtitles (burned in unless mode is "soft")
+    const subOptions = effects.subtitles || {};
+    if (srtContent && subOptions.mode !== 'soft') {
+        const { filter: subFilter, assFilePath } = buildSubtitleFilter(srtContent, subOptions, tempDir, jobId, frame, effects.speed || 1.0);
+        if (subFilter) {
+            captionFilters.push(subFilter);
+            if (assFilePath) plan.tempFiles.push(assFilePath);
+        }
+    }
+
+    // Text overlay (layer times are on the output timeline; wrapped to the cropped frame)
+    if (textOverlay) addTextLayers(plan, captionFilters, captionImages, buildTextLayers(textOverlay, effects.text || {}, tempDir, jobId, { frame }));
+
+    const rawVideo = `[${vIn}:v]`;
+    let vStream = rawVideo;
+    let pending = videoFilters;
+
+    // Watermark (third input)
+    if (watermarkPath && effects.watermark) {
+        const wm = buildWatermarkFilter(effects.watermark, frame.width, { animated: watermarkAnimated });
+        const wmIn = addInput(plan, watermarkPath, wm.inputOptions);
+
+        vStream = pushChain(plan, vStream, pending, 'vBase');
+        plan.filters.push(`[${wmIn}:v]${wm.imageFilters.join(',')}[wm]`);
+        plan.filters.push(`${vStream}[wm]${wm.overlayFilter}[vWm]`);
+        vStream = '[vWm]';
+        pending = [];
+    }
+
+    pending = [...pending, ...captionFilters];
+    if (pending.length > 0) vStream = pushChain(plan, vStream, pending, 'vOut');
+    vStream = overlayCaptionImages(plan, vStream, captionImages);
+    plan.maps.push(vStream === rawVideo ? `${vIn}:v` : vStream);
+
+    plan.expectedDuration = expectedOutputDuration(videoMeta.duration || 0, audioMeta && audioMeta.duration, effects);
+
+    // Voice-over (sped up with the video), background music ducked under it, then the
+    // effects.audio chain (fades, volume, loudnorm) on the mix
+    const rawAudio = `[${aIn}:a]`;
+    let aStream = rawAudio;
+    let mixFilters = audioFilters;
+    if (musicPath) {
+        const voiceFilters = audioFilters.filter(f => f.startsWith('atempo='));
+        mixFilters = audioFilters.filter(f => !f.startsWith('atempo='));
+        if (voiceFilters.length > 0) aStream = pushChain(plan, aStream, voiceFilters, 'aVoice');
+
+        const music = v1MusicOptions(effects.audio);
+        const mIn = addInput(plan, musicPath, getMusicInputOptions(music));
+        plan.filters.push(buildMusicBed(music, `[${mIn}:a]`, 'mbed', { duration: plan.expectedDuration }));
+        plan.filters.push(...buildDuckingFilters(music, '[mbed]', aStream, 'aMix'));
+        aStream = '[aMix]';
+    }
+    if (mixFilters.length > 0) aStream = pushChain(plan, aStream, mixFilters, 'aOut');
+    plan.audioOut = aStream === rawAudio ? `${aIn}:a` : aStream;
+    plan.maps.push(plan.audioOut);
+
+    plan.outputOptions = getOutputOptions(effects);
+    if (srtContent) {
+        addSoftSubtitles(plan, buildSoftSubtitles(srtContent, subOptions, tempDir, jobId, frame, effects.speed || 1.0));
+    }
+    return plan;
+}
+
+/**
+ * Add drawtext layers to the caption filters (temp files and fonts recorded on the plan).
+ * @param {Object} plan - Plan
+ * @param {string[]} captionFilters - Caption filter list (drawn last)
+ * @param {Object[]} captionImages - Collects emoji image overlays (see overlayCaptionImages)
+ * @param {Object[]} layers - buildTextLayers() result
+ */
+function addTextLayers(plan, captionFilters, captionImages, layers) {
+    for (const { filter, files, images, fontFile, key } of layers) {
+        if (filter) captionFilters.push(filter);
+        captionImages.push(...images);
+        plan.tempFiles.push(...files);
+        plan.fonts[key] = fontFile;
+    }
+}
+
+/**
+ * Composite caption images (color emoji of text overlays) on top of the captioned video.
+ * Images with the same file and filters (a repeated emoji) share one input, split to their overlays.
+ * @param {Object} plan - Plan
+ * @param {string} stream - Input label
+ * @param {Object[]} images - { path, imageFilters, overlayFilter, inputOptions }
+ * @returns {string} Output label
+ */
+function overlayCaptionImages(plan, stream, images) {
+    const sources = new Map();
+    for (const image of images) {
+        const key = `${image.path}|${image.imageFilters.join(',')}`;
+        if (!sources.has(key)) sources.set(key, []);
+        sources.get(key).push(image);
+    }
+
+    const labels = new Map();
+    [...sources.values()].forEach((group, src) => {
+        const imgIn = addInput(plan, group[0].path, group[0].inputOptions);
+        const outs = group.map((image, k) => {
+            const label = group.length > 1 ? `[emoji${src}_${k}]` : `[emoji${src}]`;
+            labels.set(image, label);
+            return label;
+        });
+        const split = group.length > 1 ? [`split=${group.length}`] : [];
+        plan.filters.push(`[${imgIn}:v]${[...group[0].imageFilters, ...split].join(',')}${outs.join('')}`);
+    });
+
+    images.forEach((image, idx) => {
+        plan.filters.push(`${stream}${labels.get(image)}${image.overlayFilter}[vEmoji${idx}]`);
+        stream = `[vEmoji${idx}]`;
+    });
+    return stream;
+}
+
+/**
+ * Add a soft subtitle track (extra input, mapped and encoded as mov_text) and sidecar files to a plan.
+ * Call after plan.outputOptions is set.
+ * @param {Object} plan - Plan
+ * @param {Object} soft - buildSoftSubtitles() result
+ */
+function addSoftSubtitles(plan, soft) {
+    if (soft.trackPath) {
+        const sIn = addInput(plan, soft.trackPath);
+        plan.maps.push(`${sIn}:s`);
+        plan.outputOptions.push(...soft.outputOptions);
+    }
+    plan.sidecars.push(...soft.sidecars);
+    plan.tempFiles.push(...soft.files);
+}
+
+/**
+ * Music options from V1 `effects.audio` (music_* keys) in the shape the music builders take.
+ * @param {Object} [audio={}] - effects.audio
+ * @returns {Object} { volume, loop, fade_out, duck, duck_db, duck_attack, duck_release }
+ */
+function v1MusicOptions(audio = {}) {
+    return {
+        volume: audio.music_volume,
+        loop: audio.music_loop,
+        fade_out: audio.music_fade_out,
+        duck: audio.duck,
+        duck_db: audio.duck_db,
+        duck_attack: audio.duck_attack,
+        duck_release: audio.duck_release,
+    };
+}
+
+/**
+ * Join V2 clip streams: a single concat for hard cuts, or a chain of pairwise joins when any clip
+ * has a transition — xfade for video, acrossfade for clip audio (offsets on the output timeline).
+ * @param {Object} plan - Plan being built
+ * @param {Object[]} videos - Timeline clips (video/image/color), in order
+ * @param {string[]} streams - Clip labels, one per clip
+ * @param {string} [media='video'] - 'video' or 'audio'
+ * @returns {string} Label of the joined stream ("[vconcat]" / "[aconcat]")
+ */
+function joinClips(plan, videos, streams, media = 'video') {
+    const audio = media === 'audio';
+    const prefix = audio ? 'a' : 'v';
+    const concat = audio ? 'v=0:a=1' : 'v=1:a=0';
+    const overlaps = transitionOverlaps(videos);
+    if (!overlaps.some(o => o > 0)) {
+        plan.filters.push(`${streams.join('')}concat=n=${streams.length}:${concat}[${prefix}concat]`);
+        return `[${prefix}concat]`;
+    }
+
+    let last = streams[0];
+    let elapsed = clipDuration(videos[0]);
+    for (let idx = 1; idx < streams.length; idx++) {
+        const label = idx === streams.length - 1 ? `${prefix}concat` : `${prefix}x${idx}`;
+        const overlap = overlaps[idx];
+        if (overlap > 0 && audio) {
+            plan.filters.push(`${last}${streams[idx]}acrossfade=d=${overlap.toFixed(3)}:c1=tri:c2=tri[${label}]`);
+        } else if (overlap > 0) {
+            const transition = TRANSITIONS[videos[idx].transition.type] || TRANSITIONS.crossfade;
+            const offset = elapsed - overlap;
+            plan.filters.push(`${last}${streams[idx]}xfade=transition=${transition}:duration=${overlap.toFixed(3)}:offset=${offset.toFixed(3)}[${label}]`);
+        } else {
+            plan.filters.push(`${last}${streams[idx]}concat=n=2:${concat}[${label}]`);
+        }
+        elapsed += clipDuration(videos[idx]) - overlap;
+        last = `[${label}]`;
+    }
+    return last;
+}
+
+/**
+ * Audio of one V2 clip for the clip-audio track: the source audio trimmed in sync with the video
+ * (`keep_audio`, with per-clip speed/fade and `volume`), or silence of the clip's length.
+ * @param {Object} seg - Timeline clip
+ * @param {number|null} input - Input index of the clip (null for generated sources)
+ * @param {Object} meta - Probed metadata of the clip ({ has_audio })
+ * @returns {{ from: string, filters: string[] }}
+ */
+function clipAudio(seg, input, meta) {
+    if (seg.type === 'video' && seg.keep_audio && meta.has_audio !== false) {
+        const { audioFilters } = buildFilterChain(pickClipEffects(seg), { ...meta, duration: seg.end - (seg.start || 0) });
+        const filters = [`atrim=${seg.start || 0}:${seg.end}`, 'asetpts=PTS-STARTPTS', ...audioFilters];
+        if (seg.volume !== undefined && seg.volume !== null && seg.volume !== 1) filters.push(`volume=${seg.volume}`);
+        return { from: `[${input}:a]`, filters: [...filters, AUDIO_FORMAT] };
+    }
+    return { from: '', filters: ['anullsrc=r=48000:cl=stereo', `atrim=0:${clipDuration(seg).toFixed(3)}`, AUDIO_FORMAT] };
+}
+
+/**
+ * Effects of a single V2 clip, limited to the groups allowed for its type (CLIP_EFFECTS).
+ * @param {Object} seg - Timeline clip
+ * @returns {Object}
+ */
+function pickClipEffects(seg) {
+    const picked = {};
+    for (const group of CLIP_EFFECTS[seg.type] || []) {
+        if (seg.effects && seg.effects[group] !== undefined && seg.effects[group] !== null) picked[group] = seg.effects[group];
+    }
+    return picked;
+}
+
+/**
+ * Normalization filters that bring a video clip onto the sequence canvas — only what its probed
+ * metadata says is needed (everything when it couldn't be probed).
+ * @param {Object} meta - Probed clip metadata ({ width, height, fps, sar, pix_fmt })
+ * @param {{ width: number, height: number }} size - Clip size after its own effects
+ * @param {Object} clipEffects - Clip effects (speed changes the frame rate)
+ * @param {Object} canvas - { width, height, fps, fit }
+ * @returns {string[]}
+ */
+function normalizeClip(meta, size, clipEffects, canvas) {
+    const known = meta.width > 0 && meta.height > 0;
+    const vf = [];
+    const resized = !known || size.width !== canvas.width || size.height !== canvas.height;
+    if (resized) applyFit(canvas.fit, canvas.width, canvas.height, vf);
+    if (!known || Math.abs((meta.fps || 0) - canvas.fps) > 0.01 || clipEffects.speed || clipEffects.zoom) vf.push(`fps=${canvas.fps}`);
+    if (resized || meta.sar !== '1:1') vf.push('setsar=1');
+    if (!known || meta.pix_fmt !== 'yuv420p') vf.push('format=yuv420p');
+    return vf;
+}
+
+/**
+ * Add one V2 clip to the graph: its input (if any) and the filters that turn it into a
+ * sequence-ready stream on the output canvas (size, frame rate, SAR, pixel format).
+ *
+ * @param {Object} plan - Plan being built
+ * @param {Object} seg - Timeline clip (video/image/color)
+ * @param {Object} ctx - { assetMap, assetMeta, canvas: { width, height, fps, fit } }
+ * @returns {{ input: number|null, from: string, filters: string[] }} Input index and label (null / '' for generated sources) and filter chain
+ */
+function addClip(plan, seg, { assetMap, assetMeta, canvas }) {
+    const clipEffects = pickClipEffects(seg);
+    const duration = clipDuration(seg);
+    const frame = { width: canvas.width, height: canvas.height };
+    const fps = canvas.fps;
+
+    if (seg.type === 'image') {
+        // Ken Burns (zoompan) generates its own frames from the single still; otherwise loop it
+        const options = clipEffects.zoom ? [] : ['-loop 1', `-framerate ${fps}`, `-t ${duration}`];
+        const input = addInput(plan, assetMap.get(seg.source_url), options);
+        const filters = [];
+        applyFit(seg.fit || canvas.fit, frame.width, frame.height, filters);
+        const { videoFilters } = buildFilterChain(clipEffects, { ...frame, fps, duration }, { still: true });
+        return { input, from: `[${input}:v]`, filters: [...filters, ...videoFilters, 'setsar=1', 'format=yuv420p'] };
+    }
+
+    if (seg.type === 'color') {
+        const color = String(seg.color || 'black').replace(/[^#\w@.]/g, '');
+        const { videoFilters } = buildFilterChain(clipEffects, { ...frame, fps, duration });
+        return { input: null, from: '', filters: [`color=c=${color}:s=${frame.width}x${frame.height}:r=${fps}:d=${duration}`, 'setsar=1', ...videoFilters, 'format=yuv420p'] };
+    }
+
+    const input = addInput(plan, assetMap.get(seg.source_url));
+    const meta = assetMeta.get(seg.source_url) || {};
+    const { videoFilters } = buildFilterChain(clipEffects, { ...meta, duration: seg.end - (seg.start || 0) });
+    // zoompan renders at the source size; crop/resize otherwise decides the clip size
+    const size = clipEffects.zoom
+        ? { width: meta.width || 1080, height: meta.height || 1920 }
+        : getCropSize(clipEffects.crop, meta.width || 1080, meta.height || 1920);
+    const normalize = normalizeClip(meta, size, clipEffects, { ...canvas, fit: seg.fit || canvas.fit });
+    return { input, from: `[${input}:v]`, filters: [`trim=${seg.start || 0}:${seg.end}`, 'setpts=PTS-STARTPTS', ...videoFilters, ...normalize] };
+}
+
+/**
+ * Output canvas of a V2 render: `effects.output.width/height/fps` when declared, otherwise the
+ * first video clip after its own effects (1080x1920 @ 30 fps without video). A single declared
+ * side keeps the first clip's aspect ratio. Sizes are rounded to even numbers for yuv420p.
+ * @param {Object[]} clips - Base sequence clips
+ * @param {Map<string, Object>} assetMeta - source_url → probed metadata
+ * @param {Object} [output={}] - effects.output
+ * @returns {{ width: number, height: number, fps: number, fit: string }}
+ */
+function resolveCanvas(clips, assetMeta, output = {}) {
+    const even = n => Math.max(2, Math.round(n / 2) * 2);
+    const firstVideo = clips.find(c => c.type === 'video');
+    const firstMeta = (firstVideo && assetMeta.get(firstVideo.source_url)) || {};
+    const frame = firstVideo
+        ? getCropSize(pickClipEffects(firstVideo).crop, firstMeta.width || 1080, firstMeta.height || 1920)
+        : { width: 1080, height: 1920 };
+
+    let { width, height } = frame;
+    if (output.width && output.height) {
+        width = output.width;
+        height = output.height;
+    } else if (output.width) {
+        height = frame.height * output.width / frame.width;
+        width = output.width;
+    } else if (output.height) {
+        width = frame.width * output.height / frame.height;
+        height = output.height;
+    }
+
+    return { width: even(width), height: even(height), fps: output.fps || firstMeta.fps || 30, fit: output.fit || 'contain' };
+}
+
+/**
+ * Plan a V2 timeline render: trimmed video, image and color clips joined by concat (or xfade
+ * transitions), burned subtitles, clip audio (`keep_audio`) mixed with delayed audio items, music
+ * items ducked under the rest.
+ *
+ * Effects are applied at two levels:
+ *   - per clip (`timeline[].effects`, CLIP_EFFECTS for the item type) — right after the trim, before concat
+ *   - global (`effects`) — on the concatenated video, then overlay tracks, watermark, subtitles and text overlay.
+ *     `speed` is per-clip only: audio items and cues are already placed on the output timeline.
+ *
+ * @param {Object} params
+ * @param {string} params.jobId - Job identifier (temp file naming)
+ * @param {string} params.tempDir - Directory for generated files (ASS, text)
+ * @param {Object[]} params.timeline - V2 timeline items
+ * @param {Map<string, string>} params.assetMap - source_url → input path (local path or URL)
+ * @param {Map<string, Object>} [params.assetMeta] - source_url → probed metadata ({ width, height, duration, fps })
+ * @param {Object} [params.effects={}] - Global effects payload
+ * @param {string|Object[]} [params.textOverlay] - Text overlay string, or timed text layers (like `text` items)
+ * @param {string} [params.watermarkPath] - Watermark image input (local path or URL)
+ * @param {boolean} [params.watermarkAnimated=false] - Loop the watermark input (GIF/APNG)
+ * @param {Object} [params.loudness] - Measured loudnorm stats (two-pass normalization, second pass)
+ * @returns {Object} Plan
+ */
+function planV2({ jobId, tempDir, timeline, assetMap, assetMeta = new Map(), effects = {}, textOverlay, watermarkPath, watermarkAnimated = false, loudness }) {
+    const plan = createPlan();
+
+    // Segments — video, image and color clips form the base sequence, in timeline order;
+    // items on track >= 1 are overlays (higher tracks on top)
+    const clips = timeline.filter(isSequenceClip);
+    const overlays = timeline
+        .filter(t => SEQUENCE_TYPES.includes(t.type) && itemTrack(t) > 0)
+        .map((item, order) => ({ item, order }))
+        .sort((a, b) => itemTrack(a.item) - itemTrack(b.item) || a.order - b.order)
+        .map(o => o.item);
+    const audioSegments = timeline.filter(t => t.type === 'audio');
+
+    // Transitions overlap neighbouring clips — cues and audio items move with them
+    const hasTransitions = transitionOverlaps(clips).some(o => o > 0);
+    const shift = createOverlapShift(clips);
+
+    // Output canvas — every clip is normalized to it before concat/xfade
+    const canvas = resolveCanvas(clips, assetMeta, effects.output);
+    const fps = canvas.fps;
+
+    // Inputs, Trimming & per-clip effects (+ clip audio when any clip keeps its sound)
+    const keepAudio = clips.some(c => c.type === 'video' && c.keep_audio);
+    const clipAudioStreams = [];
+    const vStreams = clips.map((seg, idx) => {
+        const { input, from, filters } = addClip(plan, seg, { assetMap, assetMeta, canvas });
+        if (hasTransitions) filters.push('settb=AVTB'); // xfade needs matching timebases
+        plan.filters.push(`${from}${filters.join(',')}[v${idx}]`);
+
+        if (keepAudio) {
+            const ca = clipAudio(seg, input, assetMeta.get(seg.source_url) || {});
+            plan.filters.push(`${ca.from}${ca.filters.join(',')}[ca${idx}]`);
+            clipAudioStreams.push(`[ca${idx}]`);
+        }
+        return `[v${idx}]`;
+    });
+
+    // Global effects run on the concatenated video
+    const globalEffects = { ...effects };
+    delete globalEffects.speed;
+    const outputMeta = { width: canvas.width, height: canvas.height, fps, duration: timelineDuration(timeline) };
+    const { videoFilters, audioFilters } = buildFilterChain(globalEffects, outputMeta, { loudness });
+    const outputFrame = getCropSize(globalEffects.crop, outputMeta.width, outputMeta.height);
+
+    // Captions (drawn last, above the watermark)
+    const captionFilters = [];
+    const captionImages = [];
+    const subItems = timeline.filter(t => t.type === 'subtitle');
+    let subs = [];
+    let subOptions = {};
+    if (subItems.length > 0) {
+        subs = subItems.map(s => ({
+            start: shift(s.start),
+            end: shift(s.end),
+            text: s.text,
+            words: s.words && s.words.map(w => ({ ...w, start: shift(w.start), end: shift(w.end) })),
+        }));
+        // Style keys from effects.subtitles; animation from the first item, then effects.subtitles, then default
+        subOptions = {
+            font_size: 24,
+            font_color: '#FFFFFF',
+            stroke_color: '#000000',
+            ...globalEffects.subtitles,
+            animation: subItems[0].style ?? globalEffects.subtitles?.animation ?? 'pop',
+        };
+
+        if (subOptions.mode !== 'soft') {
+            const assContent = generateAss(subs, subOptions, outputFrame.width, outputFrame.height, 1.0);
+            const assPath = path.join(tempDir, `${jobId}_subs.ass`);
+            fs.writeFileSync(assPath, assContent);
+            plan.tempFiles.push(assPath);
+
+            captionFilters.push(`subtitles='${escapeFfmpegPath(assPath)}':fontsdir='${escapeFfmpegPath(FONTS_DIR)}'`);
+        }
+    }
+
+    // Text — a text_overlay string spans the video; layers and `text` items are timed (shifted like cues)
+    const textItems = [...(Array.isArray(textOverlay) ? textOverlay : []), ...timeline.filter(t => t.type === 'text')];
+    if (typeof textOverlay === 'string') {
+        addTextLayers(plan, captionFilters, captionImages, buildTextLayers(textOverlay, globalEffects.text || {}, tempDir, jobId, { frame: outputFrame }));
+    }
+    if (textItems.length > 0) {
+        addTextLayers(plan, captionFilters, captionImages, buildTextLayers(textItems, globalEffects.text || {}, tempDir, jobId, { mapTime: shift, frame: outputFrame }));
+    }
+
+    // Concatenate Video
+    if (vStreams.length > 0) {
+        let lastVideoStream = joinClips(plan, clips, vStreams);
+        let pending = videoFilters;
+
+        // Overlay tracks (above the graded base, below watermark and captions)
+        overlays.forEach((item, idx) => {
+            const start = item.start || 0;
+            const end = item.end ?? start + (item.duration || 0);
+            const ov = buildOverlayFilter(item, { start: shift(start), end: shift(end) }, { fps });
+            const from = item.type === 'color' ? '' : `[${addInput(plan, assetMap.get(item.source_url), ov.inputOptions)}:v]`;
+
+            if (pending.length > 0) lastVideoStream = pushChain(plan, lastVideoStream, pending, 'vBase');
+            pending = [];
+            plan.filters.push(`${from}${ov.layerFilters.join(',')}[ov${idx}]`);
+            plan.filters.push(`${lastVideoStream}[ov${idx}]${ov.overlayFilter}[vov${idx}]`);
+            lastVideoStream = `[vov${idx}]`;
+        });
+
+        if (watermarkPath && globalEffects.watermark) {
+            const wm = buildWatermarkFilter(globalEffects.watermark, outputFrame.width, { animated: watermarkAnimated });
+            const wmIn = addInput(plan, watermarkPath, wm.inputOptions);
+
+            if (pending.length > 0) lastVideoStream = pushChain(plan, lastVideoStream, pending, 'vBase');
+            plan.filters.push(`[${wmIn}:v]${wm.imageFilters.join(',')}[wm]`);
+            plan.filters.push(`${lastVideoStream}[wm]${wm.overlayFilter}[vWm]`);
+            lastVideoStream = '[vWm]';
+            pending = [];
+        }
+
+        lastVideoStream = pushChain(plan, lastVideoStream, [...pending, ...captionFilters], 'vfinal');
+        lastVideoStream = overlayCaptionImages(plan, lastVideoStream, captionImages);
+        plan.maps.push(lastVideoStream);
+    }
+
+    // Audio Mixing — clip audio track + voice audio items, each at its own volume
+    const aStreams = [];
+    if (clipAudioStreams.length > 0) aStreams.push(joinClips(plan, clips, clipAudioStreams, 'audio'));
+
+    audioSegments.filter(seg => seg.role !== 'music').forEach((seg, idx) => {
+        const input = addInput(plan, assetMap.get(seg.source_url));
+
+        // Delay audio: [1:a]adelay=5000|5000[a0]
+        const delayMs = Math.round(shift(seg.start || 0) * 1000);
+        const filters = [`adelay=${delayMs}|${delayMs}`];
+        if (seg.volume !== undefined && seg.volume !== null && seg.volume !== 1) filters.push(`volume=${seg.volume}`);
+        plan.filters.push(`[${input}:a]${filters.join(',')}[a${idx}]`);
+        aStreams.push(`[a${idx}]`);
+    });
+
+    let lastAudioStream = null;
+    if (aStreams.length === 1) {
+        // No mix needed for single audio
+        lastAudioStream = aStreams[0];
+    } else if (aStreams.length > 1) {
+        // normalize=0: sum at the per-item volumes instead of dividing every input by the input count
+        plan.filters.push(`${aStreams.join('')}amix=inputs=${aStreams.length}:duration=longest:normalize=0[outa]`);
+        lastAudioStream = '[outa]';
+    }
+
+    // Music items (role: "music") — looped/trimmed beds, ducked under everything else (first item's settings)
+    const musicItems = audioSegments.filter(seg => seg.role === 'music');
+    if (musicItems.length > 0) {
+        const beds = musicItems.map((seg, idx) => {
+            const input = addInput(plan, assetMap.get(seg.source_url), getMusicInputOptions(seg));
+            const start = shift(seg.start || 0);
+            const end = seg.end > 0 ? shift(seg.end) : outputMeta.duration;
+            plan.filters.push(buildMusicBed(seg, `[${input}:a]`, `m${idx}`, { start, duration: Math.max(0.1, end - start) }));
+            return `[m${idx}]`;
+        });
+        let bed = beds[0];
+        if (beds.length > 1) {
+            plan.filters.push(`${beds.join('')}amix=inputs=${beds.length}:duration=longest:normalize=0[mbed]`);
+            bed = '[mbed]';
+        }
+        plan.filters.push(...buildDuckingFilters(musicItems[0], bed, lastAudioStream, 'aduck'));
+        lastAudioStream = '[aduck]';
+    }
+    if (lastAudioStream && audioFilters.length > 0) {
+        lastAudioStream = pushChain(plan, lastAudioStream, audioFilters, 'afinal');
+    }
+    if (lastAudioStream) {
+        plan.audioOut = lastAudioStream;
+        plan.maps.push(lastAudioStream);
+    }
+
+    plan.outputOptions = getOutputOptions(globalEffects);
+    if (subs.length > 0) {
+        addSoftSubtitles(plan, buildSoftSubtitles(subs, subOptions, tempDir, jobId, outputFrame));
+    }
+    plan.expectedDuration = outputMeta.duration;
+    const maxDuration = globalEffects.output && globalEffects.output.max_duration;
+    if (maxDuration > 0) plan.expectedDuration = Math.min(plan.expectedDuration, maxDuration);
+    return plan;
+}
+
+/**
+ * Labels a filter chain reads and writes: `[a][b]filters[c]` → { inputs: ['a', 'b'], outputs: ['c'] }.
+ * @param {string} chain - Filter chain from plan.filters
+ * @returns {{ inputs: string[], outputs: string[] }}
+ */
+function chainLabels(chain) {
+    const labels = (part) => (part.match(/\[([^\]]+)\]/g) || []).map(l => l.slice(1, -1));
+    return {
+        inputs: labels(chain.match(/^(?:\[[^\]]+\])*/)[0]),
+        outputs: labels(chain.match(/(?:\[[^\]]+\])*$/)[0]),
+    };
+}
+
+/**
+ * Audio-only measurement pass of a plan (two-pass loudness normalization).
+ * Keeps the filter chains feeding `plan.audioOut` — the loudnorm filter prints its stats on
+ * stderr — and discards the output. Returns null when the plan has no audio.
+ * The stats only describe the rendered audio if loudnorm is the last filter writing
+ * `plan.audioOut` (after any music mix); anything else is a planner bug and throws.
+ * @param {Object} plan - Plan from planV1/planV2
+ * @returns {Object|null} Plan to run with output '-'
+ */
+function measurePlan(plan) {
+    if (!plan.audioOut) return null;
+    const audioOut = plan.audioOut.replace(/^\[|\]$/g, '');
+    const needed = new Set([audioOut]);
+    const filters = [];
+    for (let i = plan.filters.length - 1; i >= 0; i--) {
+        const { inputs, outputs } = chainLabels(plan.filters[i]);
+        if (!outputs.some(label => needed.has(label))) continue;
+        inputs.forEach(label => needed.add(label));
+        filters.unshift(plan.filters[i]);
+    }
+
+    const last = filters.find(chain => chainLabels(chain).outputs.includes(audioOut));
+    const lastFilter = last && last.replace(/^(?:\[[^\]]+\])*|(?:\[[^\]]+\])*$/g, '').split(',').pop();
+    if (!lastFilter || !lastFilter.startsWith('loudnorm=')) {
+        throw new Error(`Loudness measurement: loudnorm is not the last filter before [${audioOut}]`);
+    }
+
+    // Same length as the render (-shortest can't apply without the video stream)
+    const outputOptions = plan.expectedDuration > 0 ? [`-t ${Math.round(plan.expectedDuration * 1000) / 1000}`] : [];
+    return {
+        ...plan,
+        filters,
+        maps: [plan.audioOut],
+        outputOptions: [...outputOptions, '-f null'],
+        tempFiles: [],
+    };
+}
+
+/**
+ * Build a fluent-ffmpeg command from a plan (output not set yet).
+ * @param {Object} plan - Plan from planV1/planV2
+ * @returns {Object} fluent-ffmpeg command
+ */
+function toFfmpegCommand(plan) {
+    const cmd = ffmpeg();
+    for (const input of plan.inputs) {
+        cmd.input(input.path);
+        if (input.options.length > 0) cmd.inputOptions(input.options);
+    }
+    if (plan.filters.length > 0) cmd.complexFilter(plan.filters);
+    for (const map of plan.maps) cmd.outputOptions(['-map', map]);
+    cmd.outputOptions(plan.outputOptions);
+    return cmd;
+}
+
+/**
+ * Describe a plan for debugging — the exact argv fluent-ffmpeg would spawn.
+ * @param {Object} plan - Plan from planV1/planV2
+ * @param {string} outputPath - Output file
+ * @returns {Object} { inputs, filter_complex, maps, output_options, fonts, expected_duration_sec, args, command }
+ */
+function describePlan(plan, outputPath) {
+    const args = toFfmpegCommand(plan).output(outputPath)._getArguments();
+    return {
+        inputs: plan.inputs,
+        filter_complex: plan.filters.join(';'),
+        filters: plan.filters,
+        maps: plan.maps,
+        output_options: plan.outputOptions,
+        fonts: plan.fonts,
+        expected_duration_sec: Math.round(plan.expectedDuration * 100) / 100,
+        args,
+        command: ['ffmpeg', ...args.map(a => (/[\s;'"[\]]/.test(a) ? `"${a.replace(/"/g, '\\"')}"` : a))].join(' '),
+    };
+}
+
+module.exports = {
+    planV1,
+    planV2,
+    pushChain,
+    measurePlan,
+    toFfmpegCommand,
+    describePlan,
+    expectedOutputDuration,
+    timelineDuration,
+};
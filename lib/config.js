@@ -24,6 +24,24 @@ const FONT_PATH = process.env.FONT_PATH || 'C:/Windows/Fonts/arial.ttf';
 const TEMP_DIR = path.join(__dirname, '..', 'temp');
 if (!fs.existsSync(TEMP_DIR)) fs.mkdirSync(TEMP_DIR, { recursive: true });
 
+/** Persistent data directory (job store, etc.) — survives restarts, unlike TEMP_DIR */
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+/** Job store backend ('file' | 'memory') and location */
+const JOB_STORE = process.env.JOB_STORE || 'file';
+const JOB_STORE_PATH = process.env.JOB_STORE_PATH || path.join(DATA_DIR, 'jobs.json');
+
+/** Brand kit store backend ('file' | 'memory') and location */
+const BRAND_KIT_STORE = process.env.BRAND_KIT_STORE || 'file';
+const BRAND_KIT_STORE_PATH = process.env.BRAND_KIT_STORE_PATH || path.join(DATA_DIR, 'brand_kits.json');
+
+/** Render queue: parallel FFmpeg workers and max waiting jobs */
+const RENDER_WORKERS = Math.max(1, parseInt(process.env.RENDER_WORKERS, 10) || 5);
+const MAX_QUEUE_SIZE = parseInt(process.env.MAX_QUEUE_SIZE, 10) || 500;
+
+/** How long finished jobs (and their V2 output files) are kept */
+const JOB_RETENTION_HOURS = parseFloat(process.env.JOB_RETENTION_HOURS) || 168;
+
 module.exports = {
     PORT,
     R2_BUCKET_NAME,
@@ -33,4 +51,12 @@ module.exports = {
     R2_PUBLIC_URL_BASE,
     FONT_PATH,
     TEMP_DIR,
+    DATA_DIR,
+    JOB_STORE,
+    JOB_STORE_PATH,
+    BRAND_KIT_STORE,
+    BRAND_KIT_STORE_PATH,
+    JOB_RETENTION_HOURS,
+    RENDER_WORKERS,
+    MAX_QUEUE_SIZE,
 };
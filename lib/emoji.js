@@ -0,0 +1,273 @@
+/**
+ * @module emoji
+ * @description Color emoji images from a CBDT/CBLC font (Noto Color Emoji).
+ *
+ * drawtext and libass only render outlines, so color emoji are drawn as image overlays instead:
+ * the glyph for an emoji cluster is resolved through the cmap and the font's GSUB ligatures
+ * (ZWJ sequences, skin tones, flags), and its embedded PNG is extracted from the CBDT table.
+ */
+
+const fs = require('fs');
+const { log } = require('./logger');
+const { loadFontMetrics } = require('./metrics');
+
+/** Variation selector-16 (emoji presentation) */
+const VS16 = 0xfe0f;
+
+/** Parsed emoji fonts, by path (null = unreadable or no color bitmaps) */
+const emojiCache = new Map();
+
+/**
+ * Load the tables needed for emoji images.
+ * @param {string} fontPath - Font file path
+ * @returns {Object|null} { buf, tables, metrics, strike }
+ */
+function loadEmojiFont(fontPath) {
+    if (!fontPath) return null;
+    if (emojiCache.has(fontPath)) return emojiCache.get(fontPath);
+
+    let font = null;
+    try {
+        const metrics = loadFontMetrics(fontPath);
+        const buf = fs.readFileSync(fontPath);
+        const tables = readTableOffsets(buf);
+        if (metrics && tables.CBLC !== undefined && tables.CBDT !== undefined) {
+            font = { buf, tables, metrics, strike: largestStrike(buf, tables.CBLC) };
+        } else {
+            log(null, 'warn', `No color bitmaps (CBDT/CBLC) in ${fontPath}`);
+        }
+    } catch (err) {
+        log(null, 'warn', `Emoji font unreadable: ${fontPath} — ${err.message}`);
+    }
+    emojiCache.set(fontPath, font);
+    return font;
+}
+
+/**
+ * @param {Buffer} buf - Font file
+ * @returns {Object<string, number>} Table tag → offset
+ */
+function readTableOffsets(buf) {
+    const tables = {};
+    const numTables = buf.readUInt16BE(4);
+    for (let i = 0; i < numTables; i++) {
+        const rec = 12 + i * 16;
+        tables[buf.toString('latin1', rec, rec + 4)] = buf.readUInt32BE(rec + 8);
+    }
+    return tables;
+}
+
+/**
+ * The CBLC bitmap size record with the largest ppem (sharpest image to scale down).
+ * @param {Buffer} buf - Font file
+ * @param {number} cblc - CBLC offset
+ * @returns {{ indexArray: number, count: number, ppem: number }}
+ */
+function largestStrike(buf, cblc) {
+    const numSizes = buf.readUInt32BE(cblc + 4);
+    let best = null;
+    for (let i = 0; i < numSizes; i++) {
+        const rec = cblc + 8 + i * 48;
+        const ppem = buf.readUInt8(rec + 45);
+        if (!best || ppem > best.ppem) {
+            best = { indexArray: cblc + buf.readUInt32BE(rec), count: buf.readUInt32BE(rec + 8), ppem };
+        }
+    }
+    if (!best) throw new Error('empty CBLC table');
+    return best;
+}
+
+/**
+ * Offset and length of a glyph's image record in CBDT.
+ * @param {Object} font - loadEmojiFont() result
+ * @param {number} glyph - Glyph id
+ * @returns {{ offset: number, length: number, imageFormat: number }|null}
+ */
+function locateBitmap(font, glyph) {
+    const { buf, tables, strike } = font;
+    const cbdt = tables.CBDT;
+    for (let i = 0; i < strike.count; i++) {
+        const rec = strike.indexArray + i * 8;
+        const first = buf.readUInt16BE(rec);
+        const last = buf.readUInt16BE(rec + 2);
+        if (glyph < first || glyph > last) continue;
+
+        const sub = strike.indexArray + buf.readUInt32BE(rec + 4);
+        const indexFormat = buf.readUInt16BE(sub);
+        const imageFormat = buf.readUInt16BE(sub + 2);
+        const data = cbdt + buf.readUInt32BE(sub + 4);
+        const idx = glyph - first;
+
+        if (indexFormat === 1 || indexFormat === 3) {
+            const read = (n) => (indexFormat === 1 ? buf.readUInt32BE(sub + 8 + n * 4) : buf.readUInt16BE(sub + 8 + n * 2));
+            const start = read(idx);
+            const length = read(idx + 1) - start;
+            return length > 0 ? { offset: data + start, length, imageFormat } : null;
+        }
+        if (indexFormat === 2) {
+            const size = buf.readUInt32BE(sub + 8);
+            return { offset: data + idx * size, length: size, imageFormat };
+        }
+        if (indexFormat === 4 || indexFormat === 5) {
+            const numGlyphs = buf.readUInt32BE(sub + (indexFormat === 4 ? 8 : 20));
+            for (let g = 0; g < numGlyphs; g++) {
+                if (indexFormat === 4) {
+                    const pair = sub + 12 + g * 4;
+                    if (buf.readUInt16BE(pair) !== glyph) continue;
+                    const start = buf.readUInt16BE(pair + 2);
+                    return { offset: data + start, length: buf.readUInt16BE(pair + 6) - start, imageFormat };
+                }
+                if (buf.readUInt16BE(sub + 24 + g * 2) !== glyph) continue;
+                const size = buf.readUInt32BE(sub + 8);
+                return { offset: data + g * size, length: size, imageFormat };
+            }
+        }
+        return null;
+    }
+    return null;
+}
+
+/**
+ * Resolve a sequence of glyphs through the font's GSUB ligatures (lookup type 4, incl. extension
+ * lookups). Features aren't filtered — in emoji fonts every ligature is an emoji sequence.
+ * @param {Object} font - loadEmojiFont() result
+ * @param {number[]} glyphs - Glyph ids of the cluster
+ * @returns {number|null} Ligature glyph, or null when no ligature covers the whole sequence
+ */
+function findLigature(font, glyphs) {
+    const { buf, tables } = font;
+    if (tables.GSUB === undefined) return null;
+    const gsub = tables.GSUB;
+    const lookupList = gsub + buf.readUInt16BE(gsub + 8);
+    const lookupCount = buf.readUInt16BE(lookupList);
+
+    for (let l = 0; l < lookupCount; l++) {
+        const lookup = lookupList + buf.readUInt16BE(lookupList + 2 + l * 2);
+        const type = buf.readUInt16BE(lookup);
+        const subCount = buf.readUInt16BE(lookup + 4);
+        for (let s = 0; s < subCount; s++) {
+            let sub = lookup + buf.readUInt16BE(lookup + 6 + s * 2);
+            let subType = type;
+            if (type === 7) {
+                subType = buf.readUInt16BE(sub + 2);
+                sub += buf.readUInt32BE(sub + 4);
+            }
+            if (subType !== 4) continue;
+            const ligature = matchLigatureSubtable(buf, sub, glyphs);
+            if (ligature !== null) return ligature;
+        }
+    }
+    return null;
+}
+
+/**
+ * @param {Buffer} buf - Font file
+ * @param {number} sub - Ligature substitution subtable offset
+ * @param {number[]} glyphs - Glyph sequence
+ * @returns {number|null} Ligature glyph for exactly this sequence
+ */
+function matchLigatureSubtable(buf, sub, glyphs) {
+    const coverageIndex = lookupCoverage(buf, sub + buf.readUInt16BE(sub + 2), glyphs[0]);
+    if (coverageIndex < 0 || coverageIndex >= buf.readUInt16BE(sub + 4)) return null;
+
+    const set = sub + buf.readUInt16BE(sub + 6 + coverageIndex * 2);
+    const ligCount = buf.readUInt16BE(set);
+    for (let i = 0; i < ligCount; i++) {
+        const lig = set + buf.readUInt16BE(set + 2 + i * 2);
+        const compCount = buf.readUInt16BE(lig + 2);
+        if (compCount !== glyphs.length) continue;
+        let match = true;
+        for (let c = 1; c < compCount && match; c++) match = buf.readUInt16BE(lig + 2 + c * 2) === glyphs[c];
+        if (match) return buf.readUInt16BE(lig);
+    }
+    return null;
+}
+
+/**
+ * Coverage table index of a glyph.
+ * @param {Buffer} buf - Font file
+ * @param {number} cov - Coverage table offset
+ * @param {number} glyph - Glyph id
+ * @returns {number} Index, or -1 when not covered
+ */
+function lookupCoverage(buf, cov, glyph) {
+    const format = buf.readUInt16BE(cov);
+    const count = buf.readUInt16BE(cov + 2);
+    for (let i = 0; i < count; i++) {
+        if (format === 1) {
+            if (buf.readUInt16BE(cov + 4 + i * 2) === glyph) return i;
+        } else {
+            const rec = cov + 4 + i * 6;
+            const start = buf.readUInt16BE(rec);
+            if (glyph >= start && glyph <= buf.readUInt16BE(rec + 2)) return buf.readUInt16BE(rec + 4) + glyph - start;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Glyph for an emoji cluster: the ligature for the full sequence (with, then without VS16),
+ * else the glyph of its first code point.
+ * @param {Object} font - loadEmojiFont() result
+ * @param {string} cluster - Emoji grapheme cluster
+ * @returns {number} Glyph id (0 = not in the font)
+ */
+function clusterGlyph(font, cluster) {
+    const codepoints = [...cluster].map(ch => ch.codePointAt(0));
+    const { glyphId } = font.metrics;
+    if (codepoints.length > 1) {
+        for (const seq of [codepoints, codepoints.filter(cp => cp !== VS16)]) {
+            const glyphs = seq.map(glyphId);
+            if (seq.length > 1 && glyphs.every(g => g !== 0)) {
+                const ligature = findLigature(font, glyphs);
+                if (ligature !== null) return ligature;
+            }
+        }
+    }
+    return glyphId(codepoints[0]);
+}
+
+/**
+ * Extract the color image of an emoji cluster.
+ * @param {string} fontPath - CBDT emoji font path
+ * @param {string} cluster - Emoji grapheme cluster (e.g. "👍🏽", "🇮🇩")
+ * @returns {{ png: Buffer, width: number, height: number, advance: number, ascent: number }|null}
+ *   PNG data and its pixel size; advance and ascent (baseline to image top) per unit of font size
+ */
+function getEmojiImage(fontPath, cluster) {
+    const font = loadEmojiFont(fontPath);
+    if (!font) return null;
+    const glyph = clusterGlyph(font, cluster);
+    if (glyph === 0) return null;
+
+    const loc = locateBitmap(font, glyph);
+    if (!loc) return null;
+    const { buf } = font;
+    // Image formats 17/18: small/big glyph metrics, then length-prefixed PNG; 19: PNG only
+    let pos = loc.offset;
+    let bearingY = null;
+    if (loc.imageFormat === 17) {
+        bearingY = buf.readInt8(pos + 3);
+        pos += 5;
+    } else if (loc.imageFormat === 18) {
+        bearingY = buf.readInt8(pos + 3);
+        pos += 8;
+    } else if (loc.imageFormat !== 19) {
+        return null;
+    }
+    const length = buf.readUInt32BE(pos);
+    const png = buf.subarray(pos + 4, pos + 4 + length);
+
+    const { metrics, strike } = font;
+    // Pixel size from the PNG header (IHDR), else the strike's square em
+    const ihdr = png.length >= 24 && png.toString('latin1', 12, 16) === 'IHDR';
+    return {
+        png,
+        width: ihdr ? png.readUInt32BE(16) : strike.ppem,
+        height: ihdr ? png.readUInt32BE(20) : strike.ppem,
+        advance: metrics.advance(glyph) / metrics.unitsPerEm,
+        ascent: bearingY !== null ? bearingY / strike.ppem : metrics.ascender / metrics.unitsPerEm,
+    };
+}
+
+module.exports = { getEmojiImage };
@@ -0,0 +1,289 @@
+/**
+ * @module filters/animation
+ * @description Entry/exit animations for text overlays — time expressions for drawtext and overlay.
+ *
+ * An entry animation plays over the first `animation_duration` seconds of a text layer, an exit
+ * animation over the last `exit_duration` (timed layers only). Both follow an eased progress
+ * (0 → 1). Slides and bounces are offsets and pop is a scale around the text block's center, so
+ * the lines, font runs and emoji images of one block move together; typewriter reveals graphemes
+ * in steps (a text file per visible prefix); blink toggles `enable`.
+ */
+
+/** Entry animations (`slide_up` = `slide_from_bottom`) */
+const ENTRY_ANIMATIONS = [
+    'none', 'fade_in', 'slide_up', 'slide_from_bottom', 'slide_from_top', 'slide_from_left', 'slide_from_right',
+    'pop', 'bounce', 'typewriter', 'blink',
+];
+
+/** Exit animations (`slide_down` = `slide_to_bottom`) */
+const EXIT_ANIMATIONS = [
+    'none', 'fade_out', 'slide_down', 'slide_to_bottom', 'slide_to_top', 'slide_to_left', 'slide_to_right',
+    'pop_out', 'bounce_out', 'typewriter_out', 'blink_out',
+];
+
+/** Easing curves for fades, slides and pop (bounce, typewriter and blink keep their own timing) */
+const EASINGS = ['linear', 'ease_in', 'ease_out', 'ease_in_out'];
+
+/** Default entry/exit animation length (seconds) */
+const ANIMATION_DURATION = 1.0;
+
+/** Blinks per second */
+const BLINK_RATE = 4;
+
+/** Most typewriter steps per animation (longer texts reveal several graphemes per step) */
+const TYPEWRITER_STEPS = 60;
+
+/** Largest scale of the pop animation (overshoot before settling at 1) */
+const POP_SCALE = 1.15;
+
+/** Edge a slide enters from / leaves to */
+const SLIDE_IN = {
+    slide_up: 'bottom', slide_from_bottom: 'bottom', slide_from_top: 'top', slide_from_left: 'left', slide_from_right: 'right',
+};
+const SLIDE_OUT = {
+    slide_down: 'bottom', slide_to_bottom: 'bottom', slide_to_top: 'top', slide_to_left: 'left', slide_to_right: 'right',
+};
+
+/**
+ * Round a time for filter expressions.
+ * @param {number} n - Seconds
+ * @returns {number}
+ */
+function fmtTime(n) {
+    return Math.round(n * 1000) / 1000;
+}
+
+/**
+ * Time window and animation timing of a text layer.
+ * @param {Object} ts - Text style — animation, exit_animation, animation_duration, exit_duration, easing
+ * @param {Object} window - { start, end }
+ * @returns {{ start: number, end: number|null, easing: string,
+ *   entry: { type: string, length: number }, exit: { type: string, length: number } }}
+ *   exit.type is 'none' without an `end`
+ */
+function resolveTiming(ts, window) {
+    const start = Math.max(0, window.start || 0);
+    const end = typeof window.end === 'number' && window.end > start ? window.end : null;
+    const entryDuration = Math.max(0.1, ts.animation_duration || ANIMATION_DURATION);
+    const exitDuration = Math.max(0.1, ts.exit_duration || entryDuration);
+    // Entry/exit each get at most half the window
+    const half = end !== null ? (end - start) / 2 : Infinity;
+    return {
+        start,
+        end,
+        easing: ts.easing || 'linear',
+        entry: { type: ts.animation || 'none', length: Math.min(entryDuration, half) },
+        exit: { type: end !== null ? ts.exit_animation || 'none' : 'none', length: Math.min(exitDuration, half) },
+    };
+}
+
+/**
+ * @param {Object} timing - resolveTiming() result
+ * @returns {string} Entry progress (0 → 1)
+ */
+function entryProgress({ start, entry }) {
+    return `clip((t-${fmtTime(start)})/${fmtTime(entry.length)},0,1)`;
+}
+
+/**
+ * @param {Object} timing - resolveTiming() result
+ * @returns {string} Exit progress (0 → 1)
+ */
+function exitProgress({ end, exit }) {
+    return `clip((t-${fmtTime(end - exit.length)})/${fmtTime(exit.length)},0,1)`;
+}
+
+/**
+ * Apply an easing curve to a progress expression.
+ * @param {string} p - Progress (0 → 1)
+ * @param {string} easing - One of EASINGS
+ * @returns {string}
+ */
+function ease(p, easing) {
+    if (easing === 'ease_in') return `pow(${p},2)`;
+    if (easing === 'ease_out') return `(1-pow(1-${p},2))`;
+    if (easing === 'ease_in_out') return `if(lt(${p},0.5),2*pow(${p},2),1-2*pow(1-${p},2))`;
+    return p;
+}
+
+/**
+ * Pop scale: grows to POP_SCALE at 70% of the progress, then settles at 1.
+ * @param {string} e - Eased progress
+ * @returns {string}
+ */
+function popScale(e) {
+    const grow = fmtTime(POP_SCALE / 0.7);
+    const settle = fmtTime((POP_SCALE - 1) / 0.3);
+    return `if(lt(${e},0.7),${e}*${grow},${POP_SCALE}-(${e}-0.7)*${settle})`;
+}
+
+/**
+ * Bounce distance: 1 at the start, two damped bounces, 0 at the end.
+ * @param {string} p - Progress
+ * @returns {string}
+ */
+function bounceDistance(p) {
+    return `abs(cos(2.5*PI*${p}))*pow(1-${p},2)`;
+}
+
+/**
+ * Motion of a text block: offsets (slides, bounces) and scale (pop) at time t.
+ * @param {Object} timing - resolveTiming() result
+ * @param {Object} box - { x, y, w, h } resting position and size of the block (expressions or px)
+ * @param {string[]} [frame=['w', 'h']] - Frame size variables (drawtext: w/h, overlay: W/H)
+ * @returns {{ dx: string|null, dy: string|null, scale: string|null }}
+ */
+function animateBox(timing, box, [W, H] = ['w', 'h']) {
+    const { entry, exit, easing } = timing;
+    const dx = [];
+    const dy = [];
+    const scale = [];
+    // `amount`: 0 = at rest, 1 = just outside the frame edge
+    const offset = (side, amount) => {
+        if (side === 'bottom') dy.push(`(${H}-(${box.y}))*${amount}`);
+        if (side === 'top') dy.push(`-((${box.y})+${box.h})*${amount}`);
+        if (side === 'left') dx.push(`-((${box.x})+${box.w})*${amount}`);
+        if (side === 'right') dx.push(`(${W}-(${box.x}))*${amount}`);
+    };
+
+    if (entry.type !== 'none') {
+        const p = entryProgress(timing);
+        const e = ease(p, easing);
+        if (SLIDE_IN[entry.type]) offset(SLIDE_IN[entry.type], `(1-${e})`);
+        if (entry.type === 'bounce') offset('top', bounceDistance(p));
+        if (entry.type === 'pop') scale.push(popScale(e));
+    }
+    if (exit.type !== 'none') {
+        const q = exitProgress(timing);
+        const e = ease(q, easing);
+        if (SLIDE_OUT[exit.type]) offset(SLIDE_OUT[exit.type], e);
+        if (exit.type === 'bounce_out') offset('bottom', bounceDistance(`(1-${q})`));
+        if (exit.type === 'pop_out') scale.push(popScale(`(1-${e})`));
+    }
+
+    const sum = (terms) => (terms.length > 0 ? terms.map(term => `(${term})`).join('+') : null);
+    return { dx: sum(dx), dy: sum(dy), scale: scale.length > 0 ? scale.map(s => `(${s})`).join('*') : null };
+}
+
+/**
+ * drawtext alpha expression for fades.
+ * @param {Object} timing - resolveTiming() result
+ * @returns {string|null}
+ */
+function alphaExpr(timing) {
+    const fades = [];
+    if (timing.entry.type === 'fade_in') fades.push(ease(entryProgress(timing), timing.easing));
+    if (timing.exit.type === 'fade_out') fades.push(`(1-${ease(exitProgress(timing), timing.easing)})`);
+    if (fades.length === 0) return null;
+    return fades.length > 1 ? `min(${fades.join(',')})` : fades[0];
+}
+
+/**
+ * Timeline `enable` expression: the layer window (or a typewriter reveal window) and blinks.
+ * @param {Object} timing - resolveTiming() result
+ * @param {string|null} [reveal=null] - revealWindows() enable, replaces the layer window
+ * @returns {string|null}
+ */
+function enableExpr(timing, reveal = null) {
+    const { start, end, entry, exit } = timing;
+    const parts = [];
+    if (reveal) parts.push(reveal);
+    else if (end !== null) parts.push(`between(t,${fmtTime(start)},${fmtTime(end)})`);
+    else if (start > 0) parts.push(`gte(t,${fmtTime(start)})`);
+
+    const blink = (from) => `lt(mod((t-${fmtTime(from)})*${BLINK_RATE},1),0.5)`;
+    if (entry.type === 'blink') parts.push(`(gte(t,${fmtTime(start + entry.length)})+${blink(start)})`);
+    if (exit.type === 'blink_out') {
+        const exitStart = end - exit.length;
+        parts.push(`(lt(t,${fmtTime(exitStart)})+${blink(exitStart)})`);
+    }
+    return parts.length > 0 ? parts.join('*') : null;
+}
+
+/**
+ * Whether a layer reveals its text by typing.
+ * @param {Object} timing - resolveTiming() result
+ * @returns {boolean}
+ */
+function isTypewriter({ entry, exit }) {
+    return entry.type === 'typewriter' || exit.type === 'typewriter_out';
+}
+
+/**
+ * Whether a layer animates its size (pop).
+ * @param {Object} timing - resolveTiming() result
+ * @returns {boolean}
+ */
+function isScaled({ entry, exit }) {
+    return entry.type === 'pop' || exit.type === 'pop_out';
+}
+
+/**
+ * Typewriter schedule: how many graphemes are visible from when.
+ * @param {Object} timing - resolveTiming() result
+ * @param {number} total - Graphemes in the layer
+ * @returns {Array<{ from: number, to: number|null, count: number }>} Consecutive states (to: null = open)
+ */
+function revealSchedule(timing, total) {
+    const { start, end, entry, exit } = timing;
+    const steps = Math.max(1, Math.min(total, TYPEWRITER_STEPS));
+    const states = [];
+    if (entry.type === 'typewriter') {
+        for (let j = 0; j < steps; j++) {
+            states.push({ from: start + entry.length * j / steps, count: Math.round(total * (j + 1) / steps) });
+        }
+    } else {
+        states.push({ from: start, count: total });
+    }
+    if (exit.type === 'typewriter_out') {
+        const exitStart = end - exit.length;
+        for (let j = 0; j < steps; j++) {
+            states.push({ from: exitStart + exit.length * j / steps, count: Math.round(total * (steps - j - 1) / steps) });
+        }
+    }
+    return states.map((state, i) => ({ ...state, to: i + 1 < states.length ? states[i + 1].from : end }));
+}
+
+/**
+ * Visible prefixes of one run of a typewriter layer.
+ * @param {Array} schedule - revealSchedule() result
+ * @param {number} offset - Graphemes before the run (reading order)
+ * @param {number} length - Graphemes in the run
+ * @param {boolean} [whole=false] - Show the run only once fully revealed (right-to-left runs)
+ * @returns {Array<{ count: number, enable: string }>} Prefix length and when it is shown
+ */
+function revealWindows(schedule, offset, length, whole = false) {
+    const windows = new Map();
+    for (const { from, to, count } of schedule) {
+        let shown = Math.max(0, Math.min(length, count - offset));
+        if (whole && shown < length) shown = 0;
+        if (shown === 0) continue;
+        const spans = windows.get(shown) || [];
+        const last = spans[spans.length - 1];
+        if (last && last.to === from) last.to = to;
+        else spans.push({ from, to });
+        windows.set(shown, spans);
+    }
+    return [...windows].map(([count, spans]) => {
+        const terms = spans.map(({ from, to }) => (to === null
+            ? `gte(t,${fmtTime(from)})`
+            : `gte(t,${fmtTime(from)})*lt(t,${fmtTime(to)})`));
+        return { count, enable: terms.length > 1 ? `(${terms.join('+')})` : terms[0] };
+    });
+}
+
+module.exports = {
+    ENTRY_ANIMATIONS,
+    EXIT_ANIMATIONS,
+    EASINGS,
+    POP_SCALE,
+    fmtTime,
+    resolveTiming,
+    animateBox,
+    alphaExpr,
+    enableExpr,
+    isTypewriter,
+    isScaled,
+    revealSchedule,
+    revealWindows,
+};
@@ -1,6 +1,6 @@
 /**
  * @module filters/audio
- * @description Audio filter builders — volume, normalization.
+ * @description Audio filter builders — volume, normalization, background music with ducking.
  *
  * NOTE: Audio fade is handled ONLY by applyFade() in video.js (synced with video fade).
  * This module handles volume and normalization only, to avoid duplicate fade application.
@@ -8,19 +8,22 @@
  * If the user uses effects.fade, that already applies both video AND audio fade.
  */
 
+const { LOUDNESS_PRESETS } = require('../presets');
+
 /**
  * Add audio-only effects filters (volume, normalization, and audio-only fades).
  *
  * IMPORTANT: effects.fade handles synced video+audio fade. This module provides
  * independent audio fade controls for cases where audio fade differs from video.
  *
- * @param {Object} audio - { volume, fade_in, fade_out, normalize }
+ * @param {Object} audio - { volume, fade_in, fade_out, normalize, loudness_preset, loudness_mode }
  * @param {number} duration - Video duration in seconds
  * @param {number} [speed=1] - Speed multiplier
  * @param {string[]} af - Audio filter accumulator
  * @param {boolean} [hasSyncedFade=false] - Whether effects.fade is also active
+ * @param {Object} [measured] - loudnorm stats from a measurement pass (two-pass mode)
  */
-function applyAudioEffects(audio, duration, speed, af, hasSyncedFade = false) {
+function applyAudioEffects(audio, duration, speed, af, hasSyncedFade = false, measured = null) {
     if (!audio) return;
     const effectiveDuration = speed ? duration / speed : duration;
 
@@ -42,8 +45,91 @@ function applyAudioEffects(audio, duration, speed, af, hasSyncedFade = false) {
     }
 
     if (audio.normalize) {
-        af.push('loudnorm=I=-14:TP=-1:LRA=11');
+        af.push(buildLoudnormFilter(audio, measured));
+    }
+}
+
+/**
+ * Build the loudnorm filter for the selected platform preset.
+ *
+ * Without `measured` this is single-pass (dynamic) normalization — also the measurement pass of
+ * two-pass mode. With `measured` (pass-1 stats) loudnorm applies a linear gain instead, which
+ * avoids the pumping of dynamic mode on short clips. Stats are always printed as JSON on stderr.
+ *
+ * @param {Object} [audio={}] - { loudness_preset }
+ * @param {Object} [measured] - Pass-1 stats: { input_i, input_tp, input_lra, input_thresh, target_offset }
+ * @returns {string} loudnorm filter
+ */
+function buildLoudnormFilter(audio = {}, measured = null) {
+    const target = LOUDNESS_PRESETS[audio.loudness_preset] || LOUDNESS_PRESETS.youtube;
+    let filter = `loudnorm=I=${target.i}:TP=${target.tp}:LRA=${target.lra}`;
+    if (measured) {
+        filter += `:measured_I=${measured.input_i}:measured_TP=${measured.input_tp}:measured_LRA=${measured.input_lra}`
+            + `:measured_thresh=${measured.input_thresh}:offset=${measured.target_offset}:linear=true`;
     }
+    return `${filter}:print_format=json`;
+}
+
+/** Background music defaults: bed level and side-chain ducking under the voice-over */
+const MUSIC_DEFAULTS = { volume: 0.3, fade_out: 1, duck_db: 12, duck_attack: 20, duck_release: 400 };
+
+/**
+ * Input options for a music input — loops it unless `loop` is false (the bed is trimmed afterwards).
+ * @param {Object} [music={}] - { loop }
+ * @returns {string[]}
+ */
+function getMusicInputOptions(music = {}) {
+    return music.loop === false ? [] : ['-stream_loop -1'];
+}
+
+/**
+ * Build the music bed chain: trimmed to `duration`, leveled, faded out and placed at `start`.
+ * @param {Object} music - { volume, fade_out }
+ * @param {string} input - Input stream label, e.g. "[2:a]"
+ * @param {string} label - Output label name (without brackets)
+ * @param {{ start: number, duration: number }} timing - Output timeline placement (seconds)
+ * @returns {string} filter_complex entry
+ */
+function buildMusicBed(music, input, label, { start = 0, duration }) {
+    const volume = Math.max(0, Math.min(3.0, music.volume ?? MUSIC_DEFAULTS.volume));
+    const fadeOut = Math.min(music.fade_out ?? MUSIC_DEFAULTS.fade_out, duration / 2);
+
+    const f = [`atrim=0:${duration.toFixed(3)}`, 'asetpts=PTS-STARTPTS'];
+    if (volume !== 1) f.push(`volume=${volume}`);
+    if (fadeOut > 0) f.push(`afade=t=out:st=${(duration - fadeOut).toFixed(2)}:d=${fadeOut}`);
+    if (start > 0) {
+        const delayMs = Math.round(start * 1000);
+        f.push(`adelay=${delayMs}|${delayMs}`);
+    }
+    return `${input}${f.join(',')}[${label}]`;
+}
+
+/**
+ * Duck a music bed under the voice-over with sidechaincompress, then mix both.
+ *
+ * A high ratio drives the bed almost silent while the voice is above the threshold; the
+ * compressor's dry/wet `mix` lets enough of the dry bed through that it drops by ~duck_db.
+ *
+ * @param {Object} music - { duck, duck_db, duck_attack (ms), duck_release (ms) }
+ * @param {string} bed - Music bed label, e.g. "[mbed]"
+ * @param {string|null} voice - Voice-over label (null = music only)
+ * @param {string} out - Output label name (without brackets)
+ * @returns {string[]} filter_complex entries
+ */
+function buildDuckingFilters(music, bed, voice, out) {
+    if (!voice) return [`${bed}anull[${out}]`];
+    if (music.duck === false) return [`${voice}${bed}amix=inputs=2:duration=longest:normalize=0[${out}]`];
+
+    const depth = Math.max(1, Math.min(40, music.duck_db ?? MUSIC_DEFAULTS.duck_db));
+    const attack = Math.max(0.01, Math.min(2000, music.duck_attack ?? MUSIC_DEFAULTS.duck_attack));
+    const release = Math.max(0.01, Math.min(9000, music.duck_release ?? MUSIC_DEFAULTS.duck_release));
+    const mix = (1 - Math.pow(10, -depth / 20)).toFixed(3);
+
+    return [
+        `${voice}asplit=2[${out}_vo][${out}_sc]`,
+        `${bed}[${out}_sc]sidechaincompress=threshold=0.02:ratio=20:attack=${attack}:release=${release}:mix=${mix}[${out}_bed]`,
+        `[${out}_vo][${out}_bed]amix=inputs=2:duration=longest:normalize=0[${out}]`,
+    ];
 }
 
-module.exports = { applyAudioEffects };
+module.exports = { applyAudioEffects, buildLoudnormFilter, MUSIC_DEFAULTS, getMusicInputOptions, buildMusicBed, buildDuckingFilters };
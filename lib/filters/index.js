@@ -11,9 +11,11 @@ const { applyAudioEffects } = require('./audio');
  *
  * @param {Object} [effects={}] - Effects payload from request
  * @param {Object} [videoMeta={}] - { width, height, duration, fps }
+ * @param {Object} [options={}] - { loudness, still } — measured loudnorm stats for the second pass;
+ *   `still` when the input is a single image (zoom generates the frames)
  * @returns {{ videoFilters: string[], audioFilters: string[], needsWatermarkInput: boolean }}
  */
-function buildFilterChain(effects = {}, videoMeta = {}) {
+function buildFilterChain(effects = {}, videoMeta = {}, options = {}) {
     const vf = [];
     const af = [];
     let needsWatermarkInput = false;
@@ -25,18 +27,18 @@ function buildFilterChain(effects = {}, videoMeta = {}) {
     // Order matters: speed → crop → zoom → color → fade
     applySpeed(effects.speed, vf, af);
     applyCrop(effects.crop, width, height, vf);
-    applyZoom(effects.zoom, videoMeta, vf);
+    applyZoom(effects.zoom, videoMeta, vf, { still: options.still, speed: effects.speed });
     applyColor(effects.color, vf);
     applyFade(effects.fade, duration, effects.speed, vf, af);
 
-    // Watermark flag (actual overlay filter built in render.js)
+    // Watermark flag (overlay needs a separate input — composited in command.js)
     if (effects.watermark && effects.watermark.url) {
         needsWatermarkInput = true;
     }
 
     // Audio effects — pass hasSyncedFade flag to avoid duplicate fade
     const hasSyncedFade = !!(effects.fade && (effects.fade.in || effects.fade.out));
-    applyAudioEffects(effects.audio, duration, effects.speed, af, hasSyncedFade);
+    applyAudioEffects(effects.audio, duration, effects.speed, af, hasSyncedFade, options.loudness);
 
     return { videoFilters: vf, audioFilters: af, needsWatermarkInput };
 }
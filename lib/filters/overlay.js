@@ -0,0 +1,76 @@
+/**
+ * @module filters/overlay
+ * @description Overlay track filter builder — picture-in-picture, stickers, product cards (V2 timeline).
+ */
+
+const { applyColor } = require('./video');
+
+/**
+ * Round a timeline value for filter expressions.
+ * @param {number} t - Seconds
+ * @returns {number}
+ */
+function round(t) {
+    return Math.round(t * 1000) / 1000;
+}
+
+/**
+ * Build overlay filter components for a V2 item on track >= 1.
+ *
+ * The item's stream is prepared with `layerFilters` (trim/loop, scale, grading, alpha, fades, then
+ * shifted to its start time) and composited on the base video with `overlayFilter` during its window.
+ * `color` items have no input: their first layer filter is a `color` source.
+ *
+ * @param {Object} item - { type, source_start, color, x, y, width, height, opacity, effects: { color, fade } }
+ * @param {{ start: number, end: number }} window - Output timeline window (seconds)
+ * @param {Object} [options={}] - { fps } — frame rate for images and colors
+ * @returns {{ inputOptions: string[], layerFilters: string[], overlayFilter: string }}
+ */
+function buildOverlayFilter(item, window, options = {}) {
+    const fps = options.fps || 30;
+    const start = round(window.start);
+    const end = round(window.end);
+    const duration = round(Math.max(0, end - start));
+    const effects = item.effects || {};
+    const inputOptions = [];
+    const lf = [];
+
+    // Source
+    if (item.type === 'video') {
+        const from = item.source_start || 0;
+        lf.push(`trim=${from}:${round(from + duration)}`, 'setpts=PTS-STARTPTS');
+    } else if (item.type === 'image') {
+        inputOptions.push('-loop 1', `-framerate ${fps}`, `-t ${duration}`);
+    } else {
+        const color = String(item.color || 'black').replace(/[^#\w@.]/g, '');
+        lf.push(`color=c=${color}:s=${item.width || 100}x${item.height || 100}:r=${fps}:d=${duration}`);
+    }
+
+    // Size (a single side keeps the aspect ratio)
+    if (item.type !== 'color') {
+        if (item.width && item.height) lf.push(`scale=${item.width}:${item.height}`);
+        else if (item.width) lf.push(`scale=${item.width}:-2`);
+        else if (item.height) lf.push(`scale=-2:${item.height}`);
+    }
+
+    applyColor(effects.color, lf);
+
+    // Alpha: opacity, then fades on the alpha channel (a plain fade would fade to black)
+    lf.push('format=rgba');
+    const opacity = Math.max(0, Math.min(1, item.opacity !== undefined && item.opacity !== null ? item.opacity : 1));
+    if (opacity < 1) lf.push(`colorchannelmixer=aa=${opacity}`);
+    const fade = effects.fade || {};
+    if (fade.in > 0) lf.push(`fade=t=in:st=0:d=${fade.in}:alpha=1`);
+    if (fade.out > 0) lf.push(`fade=t=out:st=${Math.max(0, duration - fade.out).toFixed(2)}:d=${fade.out}:alpha=1`);
+
+    // Place on the output timeline
+    lf.push(`setpts=PTS+${start}/TB`);
+
+    const x = typeof item.x === 'number' ? item.x : '(W-w)/2';
+    const y = typeof item.y === 'number' ? item.y : '(H-h)/2';
+    const overlayFilter = `overlay=${x}:${y}:enable='between(t,${start},${end})':eof_action=pass`;
+
+    return { inputOptions, layerFilters: lf, overlayFilter };
+}
+
+module.exports = { buildOverlayFilter };
@@ -1,37 +1,45 @@
 /**
  * @module filters/subtitle
- * @description Subtitle filter builder using generated ASS files.
+ * @description Subtitle filter builder using generated ASS files, plus soft subtitle tracks
+ * (mov_text) and sidecar files.
  */
 
 const fs = require('fs');
 const path = require('path');
-const { parseSrt, generateAss } = require('../subtitles');
+const { parseSubtitles, detectSubtitleFormat, generateAss, formatSrt, formatVtt } = require('../subtitles');
 const { escapeFfmpegPath } = require('./text');
 const { FONTS_DIR } = require('../fonts');
 
 /**
  * Build filter string for subtitles.
  * 
- * @param {string} srtContent - Raw SRT string
- * @param {Object} options - Style options
+ * SRT, WebVTT and JSON transcripts are converted to styled ASS; ASS input is used as-is
+ * (its own styles and timing — not retimed for `speed`).
+ *
+ * @param {string} srtContent - Raw subtitle content (SRT, WebVTT, ASS or JSON)
+ * @param {Object} options - Style options (+ `format`: SUBTITLE_FORMATS, default auto-detect)
  * @param {string} tempDir - Folder for temp files
  * @param {string} jobId - Job ID
- * @param {Object} [videoMeta={width:1080, height:1920}] - Source video metadata
+ * @param {Object} [videoMeta={width:1080, height:1920}] - Frame the subtitles are drawn on (after crop)
  * @param {number} [speed=1.0] - Playback speed multiplier
  * @returns {{ filter: string|null, assFilePath: string|null }}
  */
 function buildSubtitleFilter(srtContent, options = {}, tempDir, jobId, videoMeta = {}, speed = 1.0) {
     if (!srtContent) return { filter: null, assFilePath: null };
 
-    // 1. Parse SRT
-    const subs = parseSrt(srtContent);
-    if (!subs.length) return { filter: null, assFilePath: null };
+    const format = !options.format || options.format === 'auto' ? detectSubtitleFormat(srtContent) : options.format;
+    let assContent = srtContent;
+    if (format !== 'ass') {
+        // 1. Parse SRT / WebVTT / JSON
+        const subs = parseSubtitles(srtContent, format);
+        if (!subs.length) return { filter: null, assFilePath: null };
 
-    // 2. Generate ASS with dynamic parameters
-    const width = videoMeta.width || 1080;
-    const height = videoMeta.height || 1920;
+        // 2. Generate ASS with dynamic parameters
+        const width = videoMeta.width || 1080;
+        const height = videoMeta.height || 1920;
 
-    const assContent = generateAss(subs, options, width, height, speed);
+        assContent = generateAss(subs, options, width, height, speed);
+    }
     const assFilePath = path.join(tempDir, `${jobId}_subs.ass`);
     fs.writeFileSync(assFilePath, assContent, 'utf8');
 
@@ -44,4 +52,59 @@ function buildSubtitleFilter(srtContent, options = {}, tempDir, jobId, videoMeta
     return { filter, assFilePath };
 }
 
-module.exports = { buildSubtitleFilter };
+/** Sidecar formats (effects.subtitles.sidecars) */
+const SIDECAR_FORMATS = ['srt', 'vtt', 'ass'];
+
+/**
+ * Build a soft subtitle track and sidecar files (effects.subtitles.mode / sidecars).
+ *
+ * The soft track is an SRT input muxed as `mov_text` (players can toggle it; styling is not kept).
+ * Sidecars are written to tempDir for upload next to the video; `.ass` keeps the burn-in style
+ * (or is the original file when an ASS script was passed through).
+ *
+ * @param {string|Object[]} source - Raw subtitle content (any format) or cues already on the output timeline
+ * @param {Object} options - effects.subtitles ({ format, mode, sidecars, language } + style keys)
+ * @param {string} tempDir - Folder for temp files
+ * @param {string} jobId - Job ID
+ * @param {Object} frame - { width, height } of the output (for .ass sidecars)
+ * @param {number} [speed=1.0] - Playback speed multiplier (retimes cues parsed from content)
+ * @returns {{ trackPath: string|null, outputOptions: string[], sidecars: Array<{ format: string, path: string }>, files: string[] }}
+ */
+function buildSoftSubtitles(source, options = {}, tempDir, jobId, frame = {}, speed = 1.0) {
+    const result = { trackPath: null, outputOptions: [], sidecars: [], files: [] };
+    const mode = options.mode || 'burn';
+    const sidecarFormats = (options.sidecars || []).filter(f => SIDECAR_FORMATS.includes(f));
+    if (mode === 'burn' && sidecarFormats.length === 0) return result;
+
+    const format = typeof source === 'string'
+        ? (!options.format || options.format === 'auto' ? detectSubtitleFormat(source) : options.format)
+        : null;
+    const cues = (format ? parseSubtitles(source, format) : source)
+        .map(c => ({ start: c.start / speed, end: c.end / speed, text: c.text }));
+    if (cues.length === 0) return result;
+
+    const write = (name, content) => {
+        const filePath = path.join(tempDir, `${jobId}_${name}`);
+        fs.writeFileSync(filePath, content, 'utf8');
+        result.files.push(filePath);
+        return filePath;
+    };
+
+    if (mode !== 'burn') {
+        const language = /^[a-z]{2,3}$/.test(options.language || '') ? options.language : 'eng';
+        result.trackPath = write('soft.srt', formatSrt(cues));
+        result.outputOptions.push('-c:s mov_text', `-metadata:s:s:0 language=${language}`);
+    }
+
+    for (const fmt of sidecarFormats) {
+        let content;
+        if (fmt === 'srt') content = formatSrt(cues);
+        else if (fmt === 'vtt') content = formatVtt(cues);
+        else if (format === 'ass' && speed === 1) content = source;
+        else content = generateAss(cues, options, frame.width || 1080, frame.height || 1920, 1.0);
+        result.sidecars.push({ format: fmt, path: write(`sidecar.${fmt}`, content) });
+    }
+    return result;
+}
+
+module.exports = { buildSubtitleFilter, buildSoftSubtitles, SIDECAR_FORMATS };
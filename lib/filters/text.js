@@ -1,12 +1,24 @@
 /**
  * @module filters/text
- * @description Text overlay (drawtext) filter builder with font, highlight, and animation support.
+ * @description Text overlay (drawtext) filter builder with font, highlight, and animation support,
+ * including font fallback, color emoji and right-to-left text.
+ *
+ * A text overlay is either a single string (drawn for the whole video, styled by `effects.text`)
+ * or an array of layers — { text, start, end, ...effects.text keys } — each drawn in its own
+ * time window with entry/exit animations.
  */
 
 const fs = require('fs');
 const path = require('path');
 const { getFontFamilies } = require('../presets');
 const { FONT_PATH } = require('../config');
+const { FALLBACK_FONTS, EMOJI_FONT } = require('../fonts');
+const { createTextMeasurer, loadFontMetrics, fontCovers, fitText } = require('../metrics');
+const { splitTextRuns, splitGraphemes } = require('../unicode');
+const { getEmojiImage } = require('../emoji');
+const {
+    POP_SCALE, fmtTime, resolveTiming, animateBox, alphaExpr, enableExpr, isTypewriter, isScaled, revealSchedule, revealWindows,
+} = require('./animation');
 
 /**
  * Escape a file path for FFmpeg (Windows backslash → forward slash, colon escaped).
@@ -18,47 +30,114 @@ function escapeFfmpegPath(p) {
 }
 
 /**
- * Sanitize text for FFmpeg drawtext — strip emoji, escape special chars.
+ * Normalize text for drawing — one line, control characters removed. Every printable character
+ * is kept (fonts without a glyph fall back, see buildTextFilter).
  * @param {string} text - Raw text
- * @returns {string} Cleaned text safe for FFmpeg
+ * @returns {string}
  */
-function sanitizeText(text) {
+function normalizeText(text) {
+    return text
+        .replace(/\r?\n/g, ' ')
+        .replace(/[\u0000-\u001F\u007F]/g, '')
+        .trim();
+}
+
+/**
+ * Escape text for a drawtext textfile (backslash escapes and %-expansion).
+ * @param {string} text - Normalized text
+ * @returns {string}
+ */
+function escapeText(text) {
     return text
-        .replace(/[\u{1F000}-\u{1FFFF}]/gu, '')
-        .replace(/[\u{2600}-\u{27BF}]/gu, '')
-        .replace(/[\u{FE00}-\u{FEFF}]/gu, '')
-        .replace(/[\u{1F900}-\u{1F9FF}]/gu, '')
-        .replace(/[^\x20-\x7E\u00C0-\u024F]/g, '')
         .replace(/\\/g, '\\\\\\\\')
         .replace(/:/g, '\\:')
         .replace(/'/g, "\\'")
-        .replace(/"/g, '')
         .replace(/;/g, '\\;')
         .replace(/%/g, '%%')
         .replace(/\[/g, '\\[')
-        .replace(/\]/g, '\\]')
-        .replace(/\n/g, ' ')
-        .trim();
+        .replace(/\]/g, '\\]');
+}
+
+/**
+ * Sanitize text for FFmpeg drawtext — single line, special chars escaped.
+ * @param {string} text - Raw text
+ * @returns {string} Cleaned text safe for FFmpeg
+ */
+function sanitizeText(text) {
+    return escapeText(normalizeText(text));
+}
+
+/** Layer keys that are not effects.text style options */
+const LAYER_KEYS = ['type', 'text', 'start', 'end'];
+
+/** Distance from the frame edges (px) */
+const EDGE_PAD = 30;
+
+/** Most distinct emoji images per layer (each is an extra input); further emoji use a font */
+const MAX_EMOJI_IMAGES = 8;
+
+/**
+ * Resting position of a text box.
+ * @param {string} [position='bottom_center'] - effects.text position
+ * @param {string|number} boxW - Box width (expression or px)
+ * @param {string|number} boxH - Box height (expression or px)
+ * @param {string[]} [frame=['w', 'h']] - Frame size variables (drawtext: w/h, overlay: W/H)
+ * @returns {string[]} [x, y] expressions
+ */
+function placeBox(position, boxW, boxH, [W, H] = ['w', 'h']) {
+    const pad = EDGE_PAD;
+    const positionMap = {
+        bottom_center: [`(${W}-${boxW})/2`, `${H}-${boxH}-${pad}`],
+        top_center: [`(${W}-${boxW})/2`, `${pad}`],
+        center: [`(${W}-${boxW})/2`, `(${H}-${boxH})/2`],
+        bottom_left: [`${pad}`, `${H}-${boxH}-${pad}`],
+        bottom_right: [`${W}-${boxW}-${pad}`, `${H}-${boxH}-${pad}`],
+        top_left: [`${pad}`, `${pad}`],
+        top_right: [`${W}-${boxW}-${pad}`, `${pad}`],
+    };
+    return positionMap[position || 'bottom_center'] || positionMap.bottom_center;
+}
+
+/**
+ * Quote an expression when it needs it (commas inside a filter chain).
+ * @param {string} expr - Expression
+ * @returns {string}
+ */
+function quoteExpr(expr) {
+    return expr.includes(',') ? `'${expr}'` : expr;
 }
 
 /**
  * Build the FFmpeg drawtext filter string.
  *
+ * Text is wrapped to `max_width` of the frame (explicit newlines start a new line) by measured
+ * glyph widths, shrunk towards `min_font_size` while it is too wide, taller than the frame or
+ * over `max_lines` (still over at the floor: cut with an ellipsis). Each line is its own drawtext,
+ * aligned inside the block; a text that fits on one line stays a single drawtext.
+ *
+ * Text the selected font can't draw — other scripts, symbols, emoji — is split into runs:
+ * each run is drawn by the first fallback font (FALLBACK_FONTS) that has its glyphs, emoji
+ * become color image overlays (EMOJI_FONT, at most MAX_EMOJI_IMAGES distinct ones; repeats share
+ * one image file), and runs are placed side by side from measured glyph widths in bidi display order.
+ *
  * @param {string} textOverlay - Raw text content
  * @param {Object} [textStyle={}] - effects.text options
  * @param {string} tempDir - Directory for temp text file
  * @param {string} jobId - Job identifier (for temp file naming)
- * @returns {{ filter: string|null, textFilePath: string|null }}
+ * @param {Object} [window={}] - { start, end, name } — visibility window on the output timeline
+ *   (default: whole video) and temp file suffix; exit animations need an `end`
+ * @param {Object} [frame={}] - { width, height } of the frame the text is drawn on (default 1080x1920)
+ * @returns {{ filter: string|null, textFilePath: string|null, fontFile: string|null, files: string[], images: Object[] }}
+ *   `filter` may be several comma-joined drawtext filters; `images` are emoji overlays
+ *   ({ path, imageFilters, overlayFilter, inputOptions }, like buildWatermarkFilter) to
+ *   composite after it; `files` are all temp files written
  */
-function buildTextFilter(textOverlay, textStyle = {}, tempDir, jobId) {
-    if (!textOverlay || !textOverlay.trim()) return { filter: null, textFilePath: null };
+function buildTextFilter(textOverlay, textStyle = {}, tempDir, jobId, window = {}, frame = {}) {
+    const empty = { filter: null, textFilePath: null, fontFile: null, files: [], images: [] };
+    if (!textOverlay || !textOverlay.trim()) return empty;
 
-    const cleanText = sanitizeText(textOverlay);
-    if (cleanText.length === 0) return { filter: null, textFilePath: null };
-
-    // Write text to temp file (avoids FFmpeg inline text escaping hell)
-    const textFilePath = path.join(tempDir, `${jobId}_text.txt`);
-    fs.writeFileSync(textFilePath, cleanText, 'utf8');
+    const paragraphs = textOverlay.split(/\r?\n/).map(normalizeText).filter(p => p.length > 0);
+    if (paragraphs.length === 0) return empty;
 
     const ts = textStyle;
     const fontFamilies = getFontFamilies();
@@ -66,62 +145,294 @@ function buildTextFilter(textOverlay, textStyle = {}, tempDir, jobId) {
     // ── Font resolution ────────────────────────────────────
     const fontFamily = ts.font_family || 'poppins_regular';
     const resolvedFont = fontFamilies[fontFamily] || fontFamilies.poppins_regular || fontFamilies.inter_regular || FONT_PATH;
-    const ffmpegFont = escapeFfmpegPath(resolvedFont);
-    const ffmpegTextFile = escapeFfmpegPath(textFilePath);
+    const fallbackFonts = FALLBACK_FONTS.map(name => fontFamilies[name]).filter(Boolean);
+    const emojiFont = fontFamilies[EMOJI_FONT];
 
-    const fontSize = Math.max(10, Math.min(120, ts.font_size || 28));
+    const requestedSize = Math.max(10, Math.min(120, ts.font_size || 28));
     const fontColor = ts.font_color || 'white';
     const strokeColor = ts.stroke_color || 'black';
     const strokeWidth = ts.stroke_width !== undefined ? Math.max(0, Math.min(10, ts.stroke_width)) : 2;
+    const bgPadding = ts.bg_padding !== undefined ? Math.max(0, Math.min(30, ts.bg_padding)) : 10;
+    const timing = resolveTiming(ts, window);
+    const alpha = alphaExpr(timing);
+    const typewriter = isTypewriter(timing);
 
-    // ── Position mapping ───────────────────────────────────
-    const pad = 30;
-    const positionMap = {
-        bottom_center: `x=(w-text_w)/2:y=h-text_h-${pad}`,
-        top_center: `x=(w-text_w)/2:y=${pad}`,
-        center: `x=(w-text_w)/2:y=(h-text_h)/2`,
-        bottom_left: `x=${pad}:y=h-text_h-${pad}`,
-        bottom_right: `x=w-text_w-${pad}:y=h-text_h-${pad}`,
-        top_left: `x=${pad}:y=${pad}`,
-        top_right: `x=w-text_w-${pad}:y=${pad}`,
+    // ── Measuring: runs of a line, each in its own font ────
+    const runCache = new Map();
+    const emojiImages = new Map();
+    const emojiImage = (cluster) => {
+        if (!emojiImages.has(cluster)) {
+            const full = [...emojiImages.values()].filter(Boolean).length >= MAX_EMOJI_IMAGES;
+            emojiImages.set(cluster, full ? null : getEmojiImage(emojiFont, cluster));
+        }
+        return emojiImages.get(cluster);
+    };
+    const measurers = new Map();
+    const measureFont = (font) => {
+        if (!measurers.has(font)) measurers.set(font, createTextMeasurer(font, { em: true }));
+        return measurers.get(font);
+    };
+    const lineRuns = (text) => {
+        if (runCache.has(text)) return runCache.get(text);
+        const { runs, rtl } = splitTextRuns(text, [resolvedFont, ...fallbackFonts], { emoji: emojiFont });
+        const line = {
+            rtl,
+            runs: runs.map(run => {
+                const image = run.emoji ? emojiImage(run.text) : null;
+                const font = run.emoji && !image
+                    ? [resolvedFont, ...fallbackFonts].find(f => fontCovers(f, run.text)) || resolvedFont
+                    : run.font;
+                return { ...run, image, font };
+            }),
+        };
+        runCache.set(text, line);
+        return line;
     };
-    const posExpr = positionMap[ts.position || 'bottom_center'] || positionMap.bottom_center;
+    const runWidth = (run, size) => (run.image ? run.image.advance * size : measureFont(run.font)(run.text, size));
+    const measure = (text, size) => lineRuns(text).runs.reduce((sum, run) => sum + runWidth(run, size), 0);
 
-    // ── Build drawtext string ──────────────────────────────
-    let dt = `drawtext=fontfile='${ffmpegFont}'`;
-    dt += `:textfile='${ffmpegTextFile}'`;
-    dt += `:fontsize=${fontSize}`;
-    dt += `:fontcolor=${fontColor}`;
-    dt += `:borderw=${strokeWidth}`;
-    if (strokeWidth > 0) dt += `:bordercolor=${strokeColor}`;
-    dt += `:${posExpr}`;
-
-    // ── Highlight / background box ─────────────────────────
-    if (ts.bg_color) {
-        const bgOpacity = ts.bg_opacity !== undefined ? Math.max(0, Math.min(1, ts.bg_opacity)) : 0.6;
-        const bgPadding = ts.bg_padding !== undefined ? Math.max(0, Math.min(30, ts.bg_padding)) : 10;
-        dt += `:box=1:boxcolor=${ts.bg_color}@${bgOpacity}:boxborderw=${bgPadding}`;
+    const metrics = loadFontMetrics(resolvedFont);
+    const ascentFactor = metrics ? metrics.ascender / metrics.unitsPerEm : 0.8;
+    const heightFactor = metrics ? (metrics.ascender - metrics.descender) / metrics.unitsPerEm : 1.2;
+    const lineSpacing = ts.line_spacing ?? 5;
+
+    // ── Wrap / shrink to fit ───────────────────────────────
+    const frameW = frame.width || 1080;
+    const frameH = frame.height || 1920;
+    const maxWidth = frameW * Math.max(0.1, Math.min(1, ts.max_width || 0.9)) - (ts.bg_color ? 2 * bgPadding : 0);
+    const maxLines = ts.max_lines || 0;
+    const fit = {
+        measure,
+        fontSize: requestedSize,
+        minFontSize: ts.auto_shrink === false ? requestedSize : Math.min(requestedSize, ts.min_font_size || Math.ceil(requestedSize * 0.6)),
+        maxWidth,
+        maxHeight: frameH - 2 * EDGE_PAD,
+        maxLines,
+        outline: strokeWidth,
+        balance: ts.balance_lines !== false,
+        lineHeight: (size) => heightFactor * size + lineSpacing,
+    };
+    const layout = fitText(paragraphs.map(p => p.split(' ').filter(Boolean)), fit);
+    const fontSize = layout.fontSize;
+    let lines = layout.lines.map(words => words.join(' '));
+    if (maxLines > 0 && lines.length > maxLines) {
+        const words = layout.lines[maxLines - 1];
+        while (words.length > 1 && measure(`${words.join(' ')}…`, fontSize) + 2 * strokeWidth > maxWidth) words.pop();
+        lines = [...lines.slice(0, maxLines - 1), `${words.join(' ')}…`];
     }
 
-    // ── Shadow ─────────────────────────────────────────────
-    if (ts.shadow_color) {
-        dt += `:shadowcolor=${ts.shadow_color}:shadowx=${ts.shadow_x || 2}:shadowy=${ts.shadow_y || 2}`;
+    const files = [];
+    // Write text to temp file (avoids FFmpeg inline text escaping hell)
+    const writeText = (suffix, text) => {
+        const filePath = path.join(tempDir, `${jobId}_text${window.name || ''}${suffix}.txt`);
+        fs.writeFileSync(filePath, escapeText(text), 'utf8');
+        files.push(filePath);
+        return filePath;
+    };
+
+    // ── Build drawtext string ──────────────────────────────
+    const drawtext = (fontPath, textFilePath, x, y, { size = fontSize, enable = enableExpr(timing) } = {}) => {
+        let dt = `drawtext=fontfile='${escapeFfmpegPath(fontPath)}'`;
+        dt += `:textfile='${escapeFfmpegPath(textFilePath)}'`;
+        dt += `:fontsize=${quoteExpr(String(size))}`;
+        dt += `:fontcolor=${fontColor}`;
+        dt += `:borderw=${strokeWidth}`;
+        if (strokeWidth > 0) dt += `:bordercolor=${strokeColor}`;
+        dt += `:x=${quoteExpr(x)}`;
+        dt += `:y=${quoteExpr(y)}`;
+
+        // ── Highlight / background box ─────────────────────
+        if (ts.bg_color) {
+            const bgOpacity = ts.bg_opacity !== undefined ? Math.max(0, Math.min(1, ts.bg_opacity)) : 0.6;
+            dt += `:box=1:boxcolor=${ts.bg_color}@${bgOpacity}:boxborderw=${bgPadding}`;
+        }
+
+        // ── Shadow ─────────────────────────────────────────
+        if (ts.shadow_color) {
+            dt += `:shadowcolor=${ts.shadow_color}:shadowx=${ts.shadow_x || 2}:shadowy=${ts.shadow_y || 2}`;
+        }
+
+        // ── Line spacing ───────────────────────────────────
+        if (ts.line_spacing) {
+            dt += `:line_spacing=${ts.line_spacing}`;
+        }
+
+        // ── Animation (fades; motion is in x/y/fontsize) ───
+        if (alpha) dt += `:alpha='${alpha}'`;
+
+        // ── Time window (and blinks / typewriter steps) ────
+        if (enable) dt += `:enable='${enable}'`;
+        return dt;
+    };
+    const shift = (expr, offset) => (offset ? `${expr}+${offset}` : expr);
+
+    const isPlain = (runs) => runs.every(r => !r.emoji && r.font === resolvedFont && !r.rtl);
+    if (lines.length === 1 && isPlain(lineRuns(lines[0]).runs) && !typewriter && !isScaled(timing)) {
+        const textFilePath = writeText('', lines[0]);
+        const [x, y] = placeBox(ts.position, 'text_w', 'text_h');
+        const { dx, dy } = animateBox(timing, { x, y, w: 'text_w', h: 'text_h' });
+        const filter = drawtext(resolvedFont, textFilePath, shift(x, dx), shift(y, dy));
+        return { filter, textFilePath, fontFile: resolvedFont, files, images: [] };
     }
 
-    // ── Line spacing ───────────────────────────────────────
-    if (ts.line_spacing) {
-        dt += `:line_spacing=${ts.line_spacing}`;
+    // ── Block of lines; runs side by side on each baseline ─
+    const lineStep = heightFactor * fontSize + lineSpacing;
+    const lineWidths = lines.map(line => Math.round(measure(line, fontSize)));
+    const blockW = Math.max(...lineWidths);
+    const blockH = Math.round(lines.length * lineStep - lineSpacing);
+    const align = ts.align || (/_left$/.test(ts.position) ? 'left' : /_right$/.test(ts.position) ? 'right' : 'center');
+
+    const [textX, textY] = placeBox(ts.position, blockW, blockH);
+    const [imageX, imageY] = placeBox(ts.position, blockW, blockH, ['W', 'H']);
+    const textMotion = animateBox(timing, { x: textX, y: textY, w: blockW, h: blockH });
+    const imageMotion = animateBox(timing, { x: imageX, y: imageY, w: blockW, h: blockH }, ['W', 'H']);
+    const { scale } = textMotion;
+    // `at` px from the block origin (x or y), moved by the animation offset and scaled around the block center
+    const place = (origin, offset, half, at) => {
+        const expr = shift(origin, offset);
+        if (scale) return `${expr}+${half}*(1-${scale})${at === 0 ? '' : `+${scale}*(${at})`}`;
+        return at === 0 ? expr : `${expr}+${at}`;
+    };
+    const size = scale ? `max(1,${fontSize}*${scale})` : fontSize;
+
+    // Typewriter: graphemes are revealed in reading order — lines top to bottom, runs in logical order
+    const graphemeCount = new Map();
+    const revealFrom = new Map();
+    let revealed = 0;
+    for (const line of lines) {
+        const { runs, rtl } = lineRuns(line);
+        for (const run of rtl ? [...runs].reverse() : runs) {
+            graphemeCount.set(run, splitGraphemes(run.text).length);
+            revealFrom.set(run, revealed);
+            revealed += graphemeCount.get(run);
+        }
     }
+    const schedule = typewriter ? revealSchedule(timing, revealed) : null;
+    const reveals = (run) => (schedule
+        ? revealWindows(schedule, revealFrom.get(run), graphemeCount.get(run), run.rtl || !!run.image)
+        : [{ count: graphemeCount.get(run), enable: null }]);
+
+    const filters = [];
+    const images = [];
+    const pngPaths = new Map();
+    lines.forEach((line, lineIdx) => {
+        const { runs } = lineRuns(line);
+        const slack = blockW - lineWidths[lineIdx];
+        const alignX = align === 'left' ? 0 : align === 'right' ? slack : slack / 2;
+        const baseline = lineIdx * lineStep + ascentFactor * fontSize;
+        // `ascent` = the drawn text's tallest glyph: puts every run on the line's baseline
+        const y = `${place(textY, textMotion.dy, blockH / 2, Math.round(baseline))}-ascent`;
+
+        if (isPlain(runs) && !typewriter && !scale) {
+            // Single-font line: align by its exact drawn width
+            const at = align === 'left' ? 0 : align === 'right' ? `${blockW}-text_w` : `(${blockW}-text_w)/2`;
+            filters.push(drawtext(resolvedFont, writeText(`_${files.length}`, line), place(textX, textMotion.dx, 0, at), y));
+            return;
+        }
+
+        let offset = alignX;
+        for (const run of runs) {
+            const dx = Math.round(offset);
+            offset += runWidth(run, fontSize);
+            if (!run.image) {
+                const x = place(textX, textMotion.dx, blockW / 2, dx);
+                const graphemes = splitGraphemes(run.text);
+                for (const { count, enable } of reveals(run)) {
+                    const textFilePath = writeText(`_${files.length}`, graphemes.slice(0, count).join(''));
+                    filters.push(drawtext(run.font, textFilePath, x, y, { size, enable: enableExpr(timing, enable) }));
+                }
+                continue;
+            }
+
+            let pngPath = pngPaths.get(run.text);
+            if (!pngPath) {
+                pngPath = path.join(tempDir, `${jobId}_text${window.name || ''}_emoji${files.length}.png`);
+                fs.writeFileSync(pngPath, run.image.png);
+                files.push(pngPath);
+                pngPaths.set(run.text, pngPath);
+            }
+
+            const imageW = Math.round(run.image.advance * fontSize);
+            const imageH = Math.round(imageW * run.image.height / run.image.width);
+            const dy = Math.round(baseline - run.image.ascent * fontSize);
+            const { entry, exit } = timing;
+            const imageFilters = [];
+            let left;
+            let top;
+            if (scale) {
+                // Scaled per frame inside a fixed canvas (overlay inputs keep one size), centered on the image
+                const padW = Math.ceil(imageW * POP_SCALE);
+                const padH = Math.ceil(imageH * POP_SCALE);
+                imageFilters.push(
+                    'format=rgba',
+                    `scale=w='max(1,${imageW}*${scale})':h='max(1,${imageH}*${scale})':eval=frame`,
+                    `pad=${padW}:${padH}:(ow-iw)/2:(oh-ih)/2:color=black@0:eval=frame`,
+                );
+                left = `${place(imageX, imageMotion.dx, blockW / 2, dx + imageW / 2)}-${padW / 2}`;
+                top = `${place(imageY, imageMotion.dy, blockH / 2, dy + imageH / 2)}-${padH / 2}`;
+            } else {
+                imageFilters.push(`scale=${imageW}:-1`, 'format=rgba');
+                left = place(imageX, imageMotion.dx, 0, dx);
+                top = place(imageY, imageMotion.dy, 0, dy);
+            }
+            // Fades are linear on images (the fade filter has no easing)
+            if (entry.type === 'fade_in') imageFilters.push(`fade=t=in:st=${fmtTime(timing.start)}:d=${fmtTime(entry.length)}:alpha=1`);
+            if (exit.type === 'fade_out') imageFilters.push(`fade=t=out:st=${fmtTime(timing.end - exit.length)}:d=${fmtTime(exit.length)}:alpha=1`);
 
-    // ── Animation ──────────────────────────────────────────
-    if (ts.animation === 'fade_in') {
-        dt += `:alpha='if(lt(t,1),t,1)'`;
-    } else if (ts.animation === 'slide_up') {
-        const finalY = ts.position === 'center' ? '(h-text_h)/2' : `h-text_h-${pad}`;
-        dt = dt.replace(/y=[^:]+/, `y='if(lt(t,1),h-(h-${finalY})*t,${finalY})'`);
+            for (const { enable } of reveals(run)) {
+                const imageEnable = enableExpr(timing, enable);
+                let overlayFilter = `overlay=x=${quoteExpr(left)}:y=${quoteExpr(top)}`;
+                if (imageEnable) overlayFilter += `:enable='${imageEnable}'`;
+                overlayFilter += ':shortest=1';
+                images.push({ path: pngPath, imageFilters, overlayFilter, inputOptions: ['-loop 1'] });
+            }
+        }
+    });
+
+    return {
+        filter: filters.length > 0 ? filters.join(',') : null,
+        textFilePath: files.find(f => f.endsWith('.txt')) || null,
+        fontFile: resolvedFont,
+        files,
+        images,
+    };
+}
+
+/**
+ * Build drawtext filters for a text overlay — a string (whole video) or an array of timed layers.
+ * Layer keys other than text/start/end override `baseStyle` (effects.text).
+ *
+ * @param {string|Object[]} textOverlay - text_overlay payload or V2 `text` items
+ * @param {Object} [baseStyle={}] - effects.text options
+ * @param {string} tempDir - Directory for temp text files
+ * @param {string} jobId - Job identifier (for temp file naming)
+ * @param {Object} [options={}] - { mapTime, frame } — maps layer times onto the output timeline;
+ *   { width, height } of the frame the text wraps in
+ * @returns {Array<{ filter: string|null, files: string[], images: Object[], fontFile: string, key: string }>}
+ */
+function buildTextLayers(textOverlay, baseStyle = {}, tempDir, jobId, options = {}) {
+    const { mapTime = (t) => t, frame = {} } = options;
+    if (!Array.isArray(textOverlay)) {
+        const single = buildTextFilter(textOverlay, baseStyle, tempDir, jobId, {}, frame);
+        return single.filter || single.images.length > 0 ? [{ ...single, key: 'text' }] : [];
     }
 
-    return { filter: dt, textFilePath };
+    const layers = [];
+    textOverlay.forEach((layer, idx) => {
+        if (!layer || typeof layer.text !== 'string') return;
+        const style = { ...baseStyle };
+        for (const [key, value] of Object.entries(layer)) {
+            if (!LAYER_KEYS.includes(key) && value !== undefined && value !== null) style[key] = value;
+        }
+        const window = {
+            start: typeof layer.start === 'number' ? mapTime(layer.start) : 0,
+            end: typeof layer.end === 'number' ? mapTime(layer.end) : undefined,
+            name: `_${idx}`,
+        };
+        const built = buildTextFilter(layer.text, style, tempDir, jobId, window, frame);
+        if (built.filter || built.images.length > 0) layers.push({ ...built, key: `text_${idx}` });
+    });
+    return layers;
 }
 
-module.exports = { buildTextFilter, sanitizeText, escapeFfmpegPath };
+module.exports = { buildTextFilter, buildTextLayers, sanitizeText, escapeFfmpegPath };
@@ -1,6 +1,6 @@
 /**
  * @module filters/video
- * @description Video filter builders — speed, crop, zoom, color, fade.
+ * @description Video filter builders — speed, crop, fit, zoom, color, fade.
  * Each function pushes FFmpeg filter strings into the provided array.
  */
 
@@ -67,13 +67,64 @@ function applyCrop(crop, srcW, srcH, vf) {
     }
 }
 
+/**
+ * Frame size after applyCrop() — mirrors its aspect-ratio crop and resize rules.
+ * @param {Object} crop - { aspect_ratio, width, height }
+ * @param {number} srcW - Source video width
+ * @param {number} srcH - Source video height
+ * @returns {{ width: number, height: number }}
+ */
+function getCropSize(crop, srcW, srcH) {
+    let width = srcW, height = srcH;
+    if (!crop) return { width, height };
+
+    if (crop.aspect_ratio) {
+        const [aw, ah] = crop.aspect_ratio.split(':').map(Number);
+        if (srcW / srcH > aw / ah) width = Math.round(srcH * aw / ah);
+        else height = Math.round(srcW * ah / aw);
+    }
+
+    if (crop.width && crop.height) return { width: crop.width, height: crop.height };
+    if (crop.width) return { width: crop.width, height: Math.round(height * crop.width / width / 2) * 2 };
+    if (crop.height) return { width: Math.round(width * crop.height / height / 2) * 2, height: crop.height };
+    return { width, height };
+}
+
+/**
+ * Fit a frame onto a fixed canvas.
+ * @param {string} fit - 'contain' (scale + pad, default), 'cover' (scale + crop) or 'fill' (stretch)
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {string[]} vf - Video filter accumulator
+ */
+function applyFit(fit, width, height, vf) {
+    switch (fit) {
+        case 'cover':
+            vf.push(`scale=${width}:${height}:force_original_aspect_ratio=increase`);
+            vf.push(`crop=${width}:${height}`);
+            break;
+        case 'fill':
+            vf.push(`scale=${width}:${height}`);
+            break;
+        default:
+            vf.push(`scale=${width}:${height}:force_original_aspect_ratio=decrease`);
+            vf.push(`pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:black`);
+    }
+}
+
 /**
  * Add Ken Burns zoom/pan effect.
+ *
+ * On a still, zoompan generates all `duration * fps` frames from the one input frame (d=frames).
+ * On video, every input frame yields one output frame (d=1) and the zoom follows the input frame
+ * number; zoompan re-stamps its output at `fps`, so a preceding speed change is folded into it.
+ *
  * @param {Object} zoom - { type: 'in'|'out'|'pan_left'|'pan_right', intensity }
  * @param {Object} meta - { width, height, duration, fps }
  * @param {string[]} vf - Video filter accumulator
+ * @param {Object} [options={}] - { still: input is a single image, speed: speed applied before the zoom }
  */
-function applyZoom(zoom, meta, vf) {
+function applyZoom(zoom, meta, vf, { still = false, speed = 1 } = {}) {
     if (!zoom) return;
     const intensity = Math.max(0.05, Math.min(0.5, zoom.intensity || 0.2));
     const maxZoom = 1 + intensity;
@@ -82,6 +133,28 @@ function applyZoom(zoom, meta, vf) {
     const step = intensity / frames;
     const size = `${meta.width || 1080}x${meta.height || 1920}`;
 
+    if (!still) {
+        const outFps = Math.round(fps * Math.max(0.25, Math.min(4.0, speed || 1)) * 1000) / 1000;
+        const p = `min(in/${frames},1)`;
+        const center = `x='iw/2-(iw/zoom/2)':y='ih/2-(ih/zoom/2)'`;
+        const opts = `d=1:s=${size}:fps=${outFps}`;
+        switch (zoom.type || 'in') {
+            case 'in':
+                vf.push(`zoompan=z='1+${intensity}*${p}':${center}:${opts}`);
+                break;
+            case 'out':
+                vf.push(`zoompan=z='${maxZoom}-${intensity}*${p}':${center}:${opts}`);
+                break;
+            case 'pan_left':
+                vf.push(`zoompan=z='${maxZoom}':x='(iw-iw/zoom)*(1-${p})':y='ih/2-(ih/zoom/2)':${opts}`);
+                break;
+            case 'pan_right':
+                vf.push(`zoompan=z='${maxZoom}':x='(iw-iw/zoom)*${p}':y='ih/2-(ih/zoom/2)':${opts}`);
+                break;
+        }
+        return;
+    }
+
     switch (zoom.type || 'in') {
         case 'in':
             vf.push(`zoompan=z='min(zoom+${step.toFixed(6)},${maxZoom})':d=${frames}:x='iw/2-(iw/zoom/2)':y='ih/2-(ih/zoom/2)':s=${size}:fps=${fps}`);
@@ -144,4 +217,4 @@ function applyFade(fade, duration, speed, vf, af) {
     }
 }
 
-module.exports = { applySpeed, applyCrop, applyZoom, applyColor, applyFade };
+module.exports = { applySpeed, applyCrop, getCropSize, applyFit, applyZoom, applyColor, applyFade };
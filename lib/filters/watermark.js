@@ -5,17 +5,25 @@
 
 /**
  * Build watermark overlay filter components.
- * @param {Object} watermark - { url, position, opacity, scale }
- * @param {number} videoWidth - Source video width
- * @returns {{ scaleFilter: string, overlayFilter: string, opacity: number }}
+ *
+ * The watermark image is a separate FFmpeg input: `imageFilters` prepares it (scale + alpha),
+ * `overlayFilter` composites it on the main video. Animated logos (GIF/APNG) are looped
+ * via `inputOptions` and the overlay stops with the main video.
+ *
+ * @param {Object} watermark - { url, position, opacity, scale, start, end }
+ * @param {number} videoWidth - Width of the video the watermark is drawn on
+ * @param {Object} [options={}] - { animated } — whether the image is an animated GIF/APNG
+ * @returns {{ scaleFilter: string, overlayFilter: string, opacity: number, imageFilters: string[], inputOptions: string[] }}
  */
-function buildWatermarkFilter(watermark, videoWidth) {
+function buildWatermarkFilter(watermark, videoWidth, options = {}) {
     const wm = watermark || {};
     const scale = Math.max(0.05, Math.min(0.5, wm.scale || 0.15));
-    const opacity = Math.max(0, Math.min(1, wm.opacity || 0.7));
+    const opacity = Math.max(0, Math.min(1, wm.opacity !== undefined && wm.opacity !== null ? wm.opacity : 0.7));
     const wmW = Math.round(videoWidth * scale);
 
     const scaleFilter = `scale=${wmW}:-1`;
+    const imageFilters = [scaleFilter, 'format=rgba'];
+    if (opacity < 1) imageFilters.push(`colorchannelmixer=aa=${opacity}`);
 
     // Position → FFmpeg overlay expression
     const pad = 20;
@@ -27,9 +35,25 @@ function buildWatermarkFilter(watermark, videoWidth) {
         center: `overlay=(W-w)/2:(H-h)/2`,
     };
 
-    const overlayFilter = posMap[wm.position || 'bottom_right'] || posMap.bottom_right;
+    let overlayFilter = posMap[wm.position || 'bottom_right'] || posMap.bottom_right;
 
-    return { scaleFilter, overlayFilter, opacity };
+    // Time window (output timeline seconds)
+    const start = wm.start > 0 ? wm.start : 0;
+    const end = wm.end > start ? wm.end : null;
+    if (end !== null) {
+        overlayFilter += `:enable='between(t,${start},${end})'`;
+    } else if (start > 0) {
+        overlayFilter += `:enable='gte(t,${start})'`;
+    }
+
+    // Animated logos loop forever; stop with the main video
+    const inputOptions = [];
+    if (options.animated) {
+        inputOptions.push('-stream_loop -1');
+        overlayFilter += ':shortest=1';
+    }
+
+    return { scaleFilter, overlayFilter, opacity, imageFilters, inputOptions };
 }
 
 module.exports = { buildWatermarkFilter };
@@ -8,6 +8,7 @@
  *   - Display/Title: Bebas Neue, Oswald, Anton, Permanent Marker
  *   - Handwriting: Dancing Script, Pacifico, Caveat
  *   - Monospace: Fira Code, JetBrains Mono
+ *   - Fallback: Noto Sans (+ Arabic, Hebrew, Thai, Simplified Chinese, Symbols), Noto Color Emoji
  *
  * Fonts are cached in <project>/fonts/ and only downloaded once.
  */
@@ -64,9 +65,23 @@ const FONT_CATALOG = {
     jetbrains_mono: 'https://github.com/google/fonts/raw/main/ofl/jetbrainsmono/JetBrainsMono%5Bwght%5D.ttf',
 
     // ── Emoji ───────────────────────────────────────
-    noto_emoji: 'https://github.com/google/fonts/raw/main/ofl/notocoloremoji/NotoColorEmoji-Regular.ttf'
+    noto_emoji: 'https://github.com/google/fonts/raw/main/ofl/notocoloremoji/NotoColorEmoji-Regular.ttf',
+
+    // ── Fallback (scripts missing from the fonts above) ─
+    noto_sans: 'https://github.com/google/fonts/raw/main/ofl/notosans/NotoSans%5Bwdth%2Cwght%5D.ttf',
+    noto_sans_arabic: 'https://github.com/google/fonts/raw/main/ofl/notosansarabic/NotoSansArabic%5Bwdth%2Cwght%5D.ttf',
+    noto_sans_hebrew: 'https://github.com/google/fonts/raw/main/ofl/notosanshebrew/NotoSansHebrew%5Bwdth%2Cwght%5D.ttf',
+    noto_sans_thai: 'https://github.com/google/fonts/raw/main/ofl/notosansthai/NotoSansThai%5Bwdth%2Cwght%5D.ttf',
+    noto_sans_sc: 'https://github.com/google/fonts/raw/main/ofl/notosanssc/NotoSansSC%5Bwght%5D.ttf',
+    noto_sans_symbols: 'https://github.com/google/fonts/raw/main/ofl/notosanssymbols2/NotoSansSymbols2-Regular.ttf',
 };
 
+/** Fallback chain for characters the selected font lacks, in lookup order */
+const FALLBACK_FONTS = ['noto_sans', 'noto_sans_arabic', 'noto_sans_hebrew', 'noto_sans_thai', 'noto_sans_sc', 'noto_sans_symbols'];
+
+/** Color emoji font (CBDT bitmaps, drawn as image overlays) */
+const EMOJI_FONT = 'noto_emoji';
+
 /**
  * Get the local file path for a font.
  * @param {string} fontName - Font key name
@@ -176,6 +191,64 @@ function buildFontFamilies() {
     return families;
 }
 
+/** Family names read from font files, by path */
+const familyNameCache = new Map();
+
+/**
+ * Read a font's family name from its `name` table (TTF/OTF, first face of a TTC).
+ * libass/fontconfig select fonts by this name, not by file name.
+ * The typographic family (nameID 16) wins over the legacy one (nameID 1) so variable and
+ * multi-weight families resolve to their base name ("Montserrat", not "Montserrat Thin");
+ * the weight is then picked with the style's Bold value.
+ * @param {string} fontPath - Font file path
+ * @returns {string|null} Family name, or null if the file can't be read or parsed
+ */
+function getFontFamilyName(fontPath) {
+    if (familyNameCache.has(fontPath)) return familyNameCache.get(fontPath);
+
+    let name = null;
+    try {
+        const buf = fs.readFileSync(fontPath);
+        const base = buf.toString('latin1', 0, 4) === 'ttcf' ? buf.readUInt32BE(12) : 0;
+        const numTables = buf.readUInt16BE(base + 4);
+        for (let i = 0; i < numTables && name === null; i++) {
+            const rec = base + 12 + i * 16;
+            if (buf.toString('latin1', rec, rec + 4) === 'name') name = readFamilyName(buf, buf.readUInt32BE(rec + 8));
+        }
+    } catch (err) {
+        log(null, 'warn', `Font name unreadable: ${fontPath} — ${err.message}`);
+    }
+    familyNameCache.set(fontPath, name);
+    return name;
+}
+
+/**
+ * Family name from a `name` table: nameID 16, else 1; Windows Unicode (English) records,
+ * else Mac Roman.
+ * @param {Buffer} buf - Font file
+ * @param {number} table - Offset of the name table
+ * @returns {string|null}
+ */
+function readFamilyName(buf, table) {
+    const count = buf.readUInt16BE(table + 2);
+    const strings = table + buf.readUInt16BE(table + 4);
+    const found = {};
+    for (let i = 0; i < count; i++) {
+        const rec = table + 6 + i * 12;
+        const [platform, encoding, language, nameId, length, offset] =
+            [0, 2, 4, 6, 8, 10].map(o => buf.readUInt16BE(rec + o));
+        if (nameId !== 1 && nameId !== 16) continue;
+
+        const start = strings + offset;
+        if (platform === 3 && (encoding === 1 || encoding === 10) && (language & 0xff) === 0x09) {
+            found[`win${nameId}`] = Buffer.from(buf.subarray(start, start + length)).swap16().toString('utf16le');
+        } else if (platform === 1 && encoding === 0) {
+            found[`mac${nameId}`] ??= buf.toString('latin1', start, start + length);
+        }
+    }
+    return found.win16 || found.win1 || found.mac16 || found.mac1 || null;
+}
+
 /**
  * Font categories for API documentation.
  */
@@ -186,14 +259,18 @@ const FONT_CATEGORIES = {
     'handwriting': ['dancing_script', 'pacifico', 'caveat', 'satisfy'],
     'monospace': ['firacode', 'jetbrains_mono'],
     'emoji': ['noto_emoji'],
+    'fallback': FALLBACK_FONTS,
 };
 
 module.exports = {
     FONTS_DIR,
     FONT_CATALOG,
     FONT_CATEGORIES,
+    FALLBACK_FONTS,
+    EMOJI_FONT,
     initFonts,
     buildFontFamilies,
     getFontPath,
+    getFontFamilyName,
     isFontCached,
 };
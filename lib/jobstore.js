@@ -0,0 +1,306 @@
+/**
+ * @module jobstore
+ * @description Persistent job store — payload, status transitions, progress, output and errors.
+ *
+ * Records live in an in-process Map and are mirrored to a pluggable backend so that
+ * GET /status/:jobId keeps answering after a deploy or crash.
+ *
+ * Backends:
+ *   - file   (default) — JSON file in DATA_DIR, debounced asynchronous atomic writes; request
+ *              payloads (up to the body limit) are written once per job to their own files, so
+ *              status and progress updates don't rewrite them
+ *   - memory — no persistence (ephemeral deployments, local experiments)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { JOB_STORE, JOB_STORE_PATH } = require('./config');
+const { log } = require('./logger');
+
+/** Statuses after which a job never changes again */
+const TERMINAL_STATUSES = ['done', 'error', 'cancelled'];
+
+/** Delay before dirty records are written to disk (coalesces progress updates) */
+const WRITE_DEBOUNCE_MS = 250;
+
+/**
+ * JSON file backend. Writes go to a temp file first, then rename (atomic on POSIX + NTFS).
+ * Payloads live in `<store name>_payloads/<id>.json` next to the store file.
+ * @param {string} filePath - Path of the JSON store file
+ * @param {string} [key='jobs'] - Property holding the records (also used by the brand kit store)
+ * @returns {{ name: string, load: function(): Object, save: function(Object): void,
+ *   saveAsync: function(Object): Promise, writePayload: function(string, Object): void,
+ *   readPayload: function(string): Object|undefined, removePayload: function(string): void }}
+ */
+function createFileBackend(filePath, key = 'jobs') {
+    const payloadDir = path.join(path.dirname(filePath), `${path.basename(filePath, path.extname(filePath))}_payloads`);
+    const payloadPath = (id) => path.join(payloadDir, `${encodeURIComponent(id)}.json`);
+    // Bumped by every write; an async write superseded while in flight is discarded
+    let version = 0;
+
+    return {
+        name: 'file',
+        load() {
+            if (!fs.existsSync(filePath)) return {};
+            try {
+                const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+                return data[key] || {};
+            } catch (e) {
+                log(null, 'warn', `Store ${path.basename(filePath)} unreadable (${e.message}), starting empty.`);
+                return {};
+            }
+        },
+        save(records) {
+            version++;
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            const tmpPath = `${filePath}.tmp`;
+            fs.writeFileSync(tmpPath, JSON.stringify({ version: 1, [key]: records }), 'utf8');
+            fs.renameSync(tmpPath, filePath);
+        },
+        async saveAsync(records) {
+            const own = ++version;
+            const data = JSON.stringify({ version: 1, [key]: records });
+            const tmpPath = `${filePath}.async.tmp`;
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(tmpPath, data, 'utf8');
+            if (own !== version) return fs.promises.rm(tmpPath, { force: true });
+            await fs.promises.rename(tmpPath, filePath);
+        },
+        writePayload(id, payload) {
+            fs.mkdirSync(payloadDir, { recursive: true });
+            fs.writeFileSync(payloadPath(id), JSON.stringify(payload), 'utf8');
+        },
+        readPayload(id) {
+            try {
+                return JSON.parse(fs.readFileSync(payloadPath(id), 'utf8'));
+            } catch {
+                return undefined;
+            }
+        },
+        removePayload(id) {
+            fs.rmSync(payloadPath(id), { force: true });
+        },
+    };
+}
+
+/**
+ * Memory backend — nothing survives a restart.
+ * @returns {{ name: string, load: function(): Object, save: function(Object): void }}
+ */
+function createMemoryBackend() {
+    return { name: 'memory', load: () => ({}), save: () => { } };
+}
+
+/**
+ * Create a job store on top of a backend.
+ *
+ * With a backend that stores payloads separately (writePayload), records are saved without
+ * `payload`; unfinished jobs get theirs back on load (to be resumed), finished ones drop it from
+ * memory and read it back on getPayload().
+ *
+ * @param {{ load: function(): Object, save: function(Object): void }} backend - Optionally also
+ *   saveAsync, writePayload, readPayload, removePayload (see createFileBackend)
+ * @returns {Object} Job store API
+ */
+function createJobStore(backend) {
+    const separatePayloads = typeof backend.writePayload === 'function';
+    const jobs = new Map(Object.entries(backend.load()));
+    if (separatePayloads) {
+        for (const [id, job] of jobs) {
+            // Stores written before payloads were separate keep them inline: move them out
+            if (job.payload !== undefined) backend.writePayload(id, job.payload);
+            const payload = job.payload ?? backend.readPayload(id);
+            const { payload: _inline, ...record } = job;
+            jobs.set(id, TERMINAL_STATUSES.includes(job.status) ? record : { ...record, payload });
+        }
+    }
+    let writeTimer = null;
+    let writing = false;
+    let dirty = false;
+
+    /** Records as saved (payloads stripped when stored separately) */
+    function records() {
+        if (!separatePayloads) return Object.fromEntries(jobs);
+        return Object.fromEntries([...jobs].map(([id, { payload, ...job }]) => [id, job]));
+    }
+
+    /** Write everything now, synchronously (shutdown) */
+    function flush() {
+        if (writeTimer) {
+            clearTimeout(writeTimer);
+            writeTimer = null;
+        }
+        try {
+            backend.save(records());
+        } catch (e) {
+            log(null, 'error', `Job store write failed: ${e.message}`);
+        }
+    }
+
+    /** Debounced write; asynchronous when the backend supports it, one write in flight at a time */
+    function write() {
+        writeTimer = null;
+        if (!backend.saveAsync) return flush();
+        if (writing) {
+            dirty = true;
+            return;
+        }
+        writing = true;
+        backend.saveAsync(records())
+            .catch(e => log(null, 'error', `Job store write failed: ${e.message}`))
+            .finally(() => {
+                writing = false;
+                if (dirty) {
+                    dirty = false;
+                    scheduleWrite();
+                }
+            });
+    }
+
+    function scheduleWrite() {
+        if (writeTimer) return;
+        writeTimer = setTimeout(write, WRITE_DEBOUNCE_MS);
+        writeTimer.unref();
+    }
+
+    /**
+     * Register a new job (overwrites a previous record with the same id).
+     * @param {string} jobId - Job identifier
+     * @param {Object} [fields={}] - { project_id, payload, callback_url, ... }
+     * @returns {Object} The stored record
+     */
+    function create(jobId, fields = {}) {
+        const now = new Date().toISOString();
+        const record = { ...fields, status: 'created', history: [], created_at: now, updated_at: now };
+        if (separatePayloads) {
+            try {
+                backend.writePayload(jobId, fields.payload ?? null);
+            } catch (e) {
+                log(jobId, 'error', `Job payload write failed: ${e.message}`);
+            }
+        }
+        jobs.set(jobId, record);
+        scheduleWrite();
+        return record;
+    }
+
+    /**
+     * Merge a status update into a job record. Status changes are appended to `history`.
+     * @param {string} jobId - Job identifier
+     * @param {string} status - New status
+     * @param {Object} [extra={}] - Fields to merge (progress, error, video_url, ...)
+     * @returns {Object} The updated record
+     */
+    function update(jobId, status, extra = {}) {
+        const now = new Date().toISOString();
+        const prev = jobs.get(jobId) || { history: [], created_at: now };
+        const record = { ...prev, ...extra, status, updated_at: now };
+
+        if (prev.status !== status) {
+            record.history = [...(prev.history || []), { status, at: now }];
+        }
+        if (TERMINAL_STATUSES.includes(status) && !prev.finished_at) {
+            record.finished_at = now;
+        }
+        // Finished jobs keep their payload on disk only
+        if (separatePayloads && TERMINAL_STATUSES.includes(status)) delete record.payload;
+
+        jobs.set(jobId, record);
+        scheduleWrite();
+        return record;
+    }
+
+    /**
+     * @param {string} jobId - Job identifier
+     * @returns {Object|undefined} Job record
+     */
+    function get(jobId) {
+        return jobs.get(jobId);
+    }
+
+    /**
+     * Request payload of a job, also after it finished (read back from the backend).
+     * @param {string} jobId - Job identifier
+     * @returns {Object|undefined}
+     */
+    function getPayload(jobId) {
+        const job = jobs.get(jobId);
+        if (!job) return undefined;
+        if (job.payload !== undefined || !separatePayloads) return job.payload;
+        return backend.readPayload(jobId);
+    }
+
+    /**
+     * List jobs, newest first.
+     * @param {Object} [filter={}] - { status, project_id, limit }
+     * @returns {Object[]} Records with `job_id` included
+     */
+    function list(filter = {}) {
+        let result = [...jobs].map(([job_id, job]) => ({ job_id, ...job }));
+        if (filter.status) result = result.filter(j => j.status === filter.status);
+        if (filter.project_id) result = result.filter(j => j.project_id === filter.project_id);
+        result.sort((a, b) => b.created_at.localeCompare(a.created_at));
+        return filter.limit ? result.slice(0, filter.limit) : result;
+    }
+
+    /**
+     * Delete finished jobs older than maxAgeMs.
+     * @param {number} maxAgeMs - Retention window
+     * @returns {Object[]} Removed records (caller cleans up their output files)
+     */
+    function prune(maxAgeMs) {
+        const cutoff = Date.now() - maxAgeMs;
+        const removed = [];
+        for (const [id, job] of jobs) {
+            if (TERMINAL_STATUSES.includes(job.status) && new Date(job.updated_at).getTime() < cutoff) {
+                removed.push({ job_id: id, ...job });
+                jobs.delete(id);
+                if (separatePayloads) backend.removePayload(id);
+            }
+        }
+        if (removed.length > 0) scheduleWrite();
+        return removed;
+    }
+
+    /**
+     * Mark jobs that were in flight when the process died as failed.
+     * @param {string[]} [except=[]] - Statuses to leave untouched (e.g. 'queued', re-enqueued by the caller)
+     * @returns {number} Number of jobs marked
+     */
+    function recoverInterrupted(except = []) {
+        let count = 0;
+        for (const [id, job] of jobs) {
+            if (!TERMINAL_STATUSES.includes(job.status) && !except.includes(job.status)) {
+                update(id, 'error', { error: `Interrupted by server restart (was ${job.status})`, interrupted: true });
+                count++;
+            }
+        }
+        return count;
+    }
+
+    return {
+        backend: backend.name,
+        create,
+        update,
+        get,
+        getPayload,
+        list,
+        prune,
+        recoverInterrupted,
+        flush,
+        get size() { return jobs.size; },
+    };
+}
+
+/** Process-wide job store, backend selected by JOB_STORE */
+const jobStore = createJobStore(
+    JOB_STORE === 'memory' ? createMemoryBackend() : createFileBackend(JOB_STORE_PATH)
+);
+
+module.exports = {
+    TERMINAL_STATUSES,
+    createJobStore,
+    createFileBackend,
+    createMemoryBackend,
+    jobStore,
+};
@@ -4,6 +4,7 @@
  */
 
 const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs');
 
 /**
  * Safely parse FFmpeg frame rate string (e.g. "30/1", "24000/1001", "29.97").
@@ -20,6 +21,77 @@ function parseFps(fpsStr) {
     return isNaN(parsed) || parsed <= 0 ? 30 : parsed;
 }
 
+/**
+ * Rotation of a video stream in degrees (rotate tag or display matrix side data).
+ * @param {Object} stream - ffprobe stream
+ * @returns {number} Degrees (0 if none)
+ */
+function parseRotation(stream) {
+    if (stream.tags && stream.tags.rotate) return parseInt(stream.tags.rotate, 10) || 0;
+    const matrix = (stream.side_data_list || []).find(d => d.rotation !== undefined);
+    return matrix ? parseInt(matrix.rotation, 10) || 0 : 0;
+}
+
+/**
+ * Parse an FFmpeg timemark ("HH:MM:SS.xx", as emitted in progress events) to seconds.
+ * @param {string} timemark - Timemark string
+ * @returns {number} Seconds (0 if unparseable)
+ */
+function parseTimemark(timemark) {
+    if (!timemark) return 0;
+    const parts = String(timemark).split(':').map(parseFloat);
+    if (parts.some(isNaN)) return 0;
+    return parts.reduce((acc, v) => acc * 60 + v, 0);
+}
+
+/**
+ * Extract loudnorm statistics (print_format=json) from FFmpeg stderr.
+ * Values arrive as strings; they are returned as numbers, except `normalization_type`.
+ * @param {string} stderr - FFmpeg stderr output
+ * @returns {Object|null} { input_i, input_tp, input_lra, input_thresh, output_i, output_tp, output_lra,
+ *   output_thresh, normalization_type, target_offset }, or null if no stats block is found
+ */
+function parseLoudnormStats(stderr) {
+    const blocks = String(stderr || '').match(/\{[^{}]*"input_i"[^{}]*\}/g);
+    if (!blocks) return null;
+    try {
+        const raw = JSON.parse(blocks[blocks.length - 1]);
+        const stats = {};
+        for (const [key, value] of Object.entries(raw)) {
+            stats[key] = key === 'normalization_type' ? value : parseFloat(value);
+        }
+        return stats;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Detect animated images (GIF, APNG) from the file header.
+ * GIFs are always treated as animated (looping a single frame is harmless);
+ * PNGs are animated if an acTL chunk precedes the first IDAT.
+ * @param {string} filePath - Path to image file
+ * @returns {boolean}
+ */
+function isAnimatedImage(filePath) {
+    let fd;
+    try {
+        fd = fs.openSync(filePath, 'r');
+        const buf = Buffer.alloc(4096);
+        const len = fs.readSync(fd, buf, 0, buf.length, 0);
+        const head = buf.subarray(0, len);
+        if (head.subarray(0, 3).toString('latin1') === 'GIF') return true;
+        if (head.readUInt32BE(0) !== 0x89504E47) return false;
+        const acTL = head.indexOf('acTL', 8, 'latin1');
+        const idat = head.indexOf('IDAT', 8, 'latin1');
+        return acTL !== -1 && (idat === -1 || acTL < idat);
+    } catch {
+        return false;
+    } finally {
+        if (fd !== undefined) fs.closeSync(fd);
+    }
+}
+
 /**
  * Extract video metadata using ffprobe.
  * @param {string} filePath - Path to video file
@@ -33,17 +105,25 @@ function getVideoMetadata(filePath) {
             const vs = metadata.streams.find(s => s.codec_type === 'video');
             const fps = vs ? parseFps(vs.r_frame_rate) : 30;
 
+            // FFmpeg auto-rotates on decode: report the displayed size for phone clips shot in portrait
+            const rotation = vs ? Math.abs(parseRotation(vs)) % 180 : 0;
+            const width = vs ? (rotation === 90 ? vs.height : vs.width) : 0;
+            const height = vs ? (rotation === 90 ? vs.width : vs.height) : 0;
+
             resolve({
                 duration_sec: Math.round(metadata.format.duration || 0),
                 duration: parseFloat(metadata.format.duration || 0),
-                resolution: vs ? `${vs.width}x${vs.height}` : 'unknown',
-                width: vs ? vs.width : 0,
-                height: vs ? vs.height : 0,
+                resolution: vs ? `${width}x${height}` : 'unknown',
+                width,
+                height,
                 fps,
+                sar: vs && vs.sample_aspect_ratio && vs.sample_aspect_ratio !== '0:1' ? vs.sample_aspect_ratio : '1:1',
+                pix_fmt: vs ? vs.pix_fmt : null,
+                has_audio: metadata.streams.some(s => s.codec_type === 'audio'),
                 file_size: parseInt(metadata.format.size || 0, 10),
             });
         });
     });
 }
 
-module.exports = { getVideoMetadata };
+module.exports = { getVideoMetadata, parseTimemark, parseLoudnormStats, isAnimatedImage };
@@ -0,0 +1,251 @@
+/**
+ * @module metrics
+ * @description Font metrics from TTF/OTF files — glyph advance widths for pixel-accurate
+ * text wrapping and auto-fit (subtitles, drawtext).
+ *
+ * Only the tables needed for horizontal advances are read (head, hhea, hmtx, cmap, OS/2).
+ * Kerning is ignored and variable fonts are measured at their default instance, so
+ * measurements are close estimates — callers keep a safety margin.
+ */
+
+const fs = require('fs');
+const { log } = require('./logger');
+
+/** Width factor (× font size) used when no font file can be read */
+const FALLBACK_CHAR_WIDTH = 0.6;
+
+/** Parsed fonts, by path (null = unreadable) */
+const metricsCache = new Map();
+
+/**
+ * Load advance-width metrics for a font file.
+ * @param {string} fontPath - Font file path
+ * @returns {{ glyphId: function(number): number, advance: function(number): number, height: number,
+ *   unitsPerEm: number, ascender: number, descender: number }|null}
+ *   `advance(glyph)` in font units; `height` = the font units mapped to one unit of font size by libass
+ *   (FreeType/drawtext map `unitsPerEm`); ascender/descender from hhea (descender is negative)
+ */
+function loadFontMetrics(fontPath) {
+    if (!fontPath) return null;
+    if (metricsCache.has(fontPath)) return metricsCache.get(fontPath);
+
+    let metrics = null;
+    try {
+        metrics = parseFontMetrics(fs.readFileSync(fontPath));
+    } catch (err) {
+        log(null, 'warn', `Font metrics unreadable: ${fontPath} — ${err.message}`);
+    }
+    metricsCache.set(fontPath, metrics);
+    return metrics;
+}
+
+/**
+ * Parse the tables needed for advance widths.
+ * @param {Buffer} buf - Font file (first face of a TTC)
+ * @returns {Object} See loadFontMetrics
+ */
+function parseFontMetrics(buf) {
+    const base = buf.toString('latin1', 0, 4) === 'ttcf' ? buf.readUInt32BE(12) : 0;
+    const tables = {};
+    const numTables = buf.readUInt16BE(base + 4);
+    for (let i = 0; i < numTables; i++) {
+        const rec = base + 12 + i * 16;
+        tables[buf.toString('latin1', rec, rec + 4)] = buf.readUInt32BE(rec + 8);
+    }
+    for (const tag of ['head', 'hhea', 'hmtx', 'cmap']) {
+        if (tables[tag] === undefined) throw new Error(`missing ${tag} table`);
+    }
+
+    const unitsPerEm = buf.readUInt16BE(tables.head + 18);
+    const ascender = buf.readInt16BE(tables.hhea + 4);
+    const descender = buf.readInt16BE(tables.hhea + 6);
+    const numHMetrics = buf.readUInt16BE(tables.hhea + 34);
+
+    // libass sizes fonts so that usWinAscent + usWinDescent spans the font size (hhea extent as fallback)
+    let height = ascender - descender;
+    if (tables['OS/2'] !== undefined) {
+        const win = buf.readUInt16BE(tables['OS/2'] + 74) + buf.readUInt16BE(tables['OS/2'] + 76);
+        if (win > 0) height = win;
+    }
+
+    return {
+        height: height > 0 ? height : unitsPerEm,
+        unitsPerEm,
+        ascender,
+        descender,
+        glyphId: createCmapLookup(buf, tables.cmap),
+        advance: (glyph) => buf.readUInt16BE(tables.hmtx + 4 * Math.min(glyph, numHMetrics - 1)),
+    };
+}
+
+/**
+ * Code point → glyph id lookup from the best Unicode cmap subtable (format 12, else format 4).
+ * @param {Buffer} buf - Font file
+ * @param {number} cmap - Offset of the cmap table
+ * @returns {function(number): number} Glyph id (0 = .notdef)
+ */
+function createCmapLookup(buf, cmap) {
+    const subtables = [];
+    const count = buf.readUInt16BE(cmap + 2);
+    for (let i = 0; i < count; i++) {
+        const rec = cmap + 4 + i * 8;
+        const platform = buf.readUInt16BE(rec);
+        const encoding = buf.readUInt16BE(rec + 2);
+        const offset = cmap + buf.readUInt32BE(rec + 4);
+        if (platform === 0 || (platform === 3 && (encoding === 1 || encoding === 10))) {
+            subtables.push({ format: buf.readUInt16BE(offset), offset });
+        }
+    }
+
+    const full = subtables.find(t => t.format === 12);
+    if (full) {
+        const groups = buf.readUInt32BE(full.offset + 12);
+        return (cp) => {
+            let lo = 0, hi = groups - 1;
+            while (lo <= hi) {
+                const mid = (lo + hi) >> 1;
+                const g = full.offset + 16 + mid * 12;
+                if (cp < buf.readUInt32BE(g)) hi = mid - 1;
+                else if (cp > buf.readUInt32BE(g + 4)) lo = mid + 1;
+                else return buf.readUInt32BE(g + 8) + cp - buf.readUInt32BE(g);
+            }
+            return 0;
+        };
+    }
+
+    const bmp = subtables.find(t => t.format === 4);
+    if (!bmp) return () => 0;
+    const segCount = buf.readUInt16BE(bmp.offset + 6) / 2;
+    const ends = bmp.offset + 14;
+    const starts = ends + segCount * 2 + 2;
+    const deltas = starts + segCount * 2;
+    const rangeOffsets = deltas + segCount * 2;
+    return (cp) => {
+        if (cp > 0xffff) return 0;
+        for (let i = 0; i < segCount; i++) {
+            if (cp > buf.readUInt16BE(ends + i * 2)) continue;
+            const start = buf.readUInt16BE(starts + i * 2);
+            if (cp < start) return 0;
+            const delta = buf.readUInt16BE(deltas + i * 2);
+            const rangeOffset = buf.readUInt16BE(rangeOffsets + i * 2);
+            if (rangeOffset === 0) return (cp + delta) & 0xffff;
+            const glyph = buf.readUInt16BE(rangeOffsets + i * 2 + rangeOffset + (cp - start) * 2);
+            return glyph === 0 ? 0 : (glyph + delta) & 0xffff;
+        }
+        return 0;
+    };
+}
+
+/**
+ * Create a text width function for a font. Falls back to FALLBACK_CHAR_WIDTH per character
+ * when the font can't be read.
+ * @param {string} [fontPath] - Font file path
+ * @param {Object} [options={}] - { em } — size by the em square (drawtext/FreeType) instead of libass' height
+ * @returns {function(string, number): number} (text, fontSize) → width in pixels
+ */
+function createTextMeasurer(fontPath, options = {}) {
+    const metrics = loadFontMetrics(fontPath);
+    if (!metrics) return (text, fontSize) => [...text].length * fontSize * FALLBACK_CHAR_WIDTH;
+    const scale = options.em ? metrics.unitsPerEm : metrics.height;
+
+    const widths = new Map();
+    return (text, fontSize) => {
+        let units = 0;
+        for (const ch of text) {
+            const cp = ch.codePointAt(0);
+            if (!widths.has(cp)) widths.set(cp, metrics.advance(metrics.glyphId(cp)));
+            units += widths.get(cp);
+        }
+        return units * fontSize / scale;
+    };
+}
+
+/**
+ * Whether a font has a glyph for every code point of a string.
+ * @param {string} fontPath - Font file path
+ * @param {string} text - Text (e.g. one grapheme)
+ * @returns {boolean|null} null when the font can't be read
+ */
+function fontCovers(fontPath, text) {
+    const metrics = loadFontMetrics(fontPath);
+    if (!metrics) return null;
+    for (const ch of text) {
+        if (metrics.glyphId(ch.codePointAt(0)) === 0) return false;
+    }
+    return true;
+}
+
+/**
+ * Greedy word wrap at a pixel width (a word wider than the line gets a line of its own).
+ * @param {string[]} words - Words
+ * @param {number} width - Maximum line width (px)
+ * @param {function(string[]): number} measureLine - Width of a line of words (px)
+ * @returns {string[][]} Lines
+ */
+function wrapWords(words, width, measureLine) {
+    const lines = [];
+    let line = [];
+    for (const word of words) {
+        if (line.length > 0 && measureLine([...line, word]) > width) {
+            lines.push(line);
+            line = [];
+        }
+        line.push(word);
+    }
+    if (line.length > 0) lines.push(line);
+    return lines;
+}
+
+/**
+ * Re-wrap at the narrowest width that still gives the same number of lines,
+ * so lines come out similar in length instead of a long line and a short tail.
+ * @param {string[]} words - Words
+ * @param {string[][]} lines - Greedy wrap at the full width
+ * @param {number} width - Maximum line width (px)
+ * @param {function(string[]): number} measureLine - Width of a line of words (px)
+ * @returns {string[][]} Lines
+ */
+function balanceLines(words, lines, width, measureLine) {
+    if (lines.length < 2) return lines;
+    let lo = Math.max(...words.map(w => measureLine([w])));
+    let hi = width;
+    let best = lines;
+    while (hi - lo > 1) {
+        const mid = (lo + hi) / 2;
+        const candidate = wrapWords(words, mid, measureLine);
+        if (candidate.length <= lines.length) {
+            best = candidate;
+            hi = mid;
+        } else {
+            lo = mid;
+        }
+    }
+    return best;
+}
+
+/**
+ * Lay out text inside a box: wrap by measured glyph widths, then shrink the font (5% steps,
+ * down to `minFontSize`) while a line is too wide, there are more than `maxLines` lines or
+ * the block is taller than `maxHeight`.
+ * @param {string[][]} paragraphs - Words of each paragraph (paragraphs always start a new line)
+ * @param {Object} fit - { measure, fontSize, minFontSize, maxWidth, maxHeight, maxLines, outline, balance,
+ *   lineHeight } — `lineHeight(size)` defaults to size + 2 × outline (libass)
+ * @returns {{ lines: string[][], fontSize: number }}
+ */
+function fitText(paragraphs, fit) {
+    const lineHeight = fit.lineHeight || ((size) => size + 2 * fit.outline);
+    for (let size = fit.fontSize; ; size = Math.max(fit.minFontSize, Math.floor(size * 0.95))) {
+        const measureLine = (line) => fit.measure(line.join(' '), size) + 2 * fit.outline;
+        const wrapped = paragraphs.map(words => wrapWords(words, fit.maxWidth, measureLine));
+        const lines = wrapped.flat();
+        const fits = lines.every(line => measureLine(line) <= fit.maxWidth)
+            && (!fit.maxLines || lines.length <= fit.maxLines)
+            && lines.length * lineHeight(size) <= fit.maxHeight;
+        if (fits || size <= fit.minFontSize) {
+            if (!fit.balance) return { lines, fontSize: size };
+            return { lines: wrapped.flatMap((para, i) => balanceLines(paragraphs[i], para, fit.maxWidth, measureLine)), fontSize: size };
+        }
+    }
+}
+
+module.exports = { createTextMeasurer, loadFontMetrics, fontCovers, wrapWords, balanceLines, fitText };
@@ -1,6 +1,6 @@
 /**
  * @module presets
- * @description Color grading presets. Font families are loaded dynamically from fonts.js.
+ * @description Color grading, transition and loudness presets. Font families are loaded dynamically from fonts.js.
  */
 
 // ── Color Presets ───────────────────────────────────────────
@@ -16,6 +16,36 @@ const COLOR_PRESETS = {
     noir: { brightness: -0.1, contrast: 1.5, saturation: 0.0, gamma: 0.8 },
 };
 
+// ── Transitions (V2 timeline) → FFmpeg xfade names ──────────
+const TRANSITIONS = {
+    crossfade: 'fade',
+    dissolve: 'dissolve',
+    dip_to_black: 'fadeblack',
+    dip_to_white: 'fadewhite',
+    wipe_left: 'wipeleft',
+    wipe_right: 'wiperight',
+    wipe_up: 'wipeup',
+    wipe_down: 'wipedown',
+    slide_left: 'slideleft',
+    slide_right: 'slideright',
+    slide_up: 'slideup',
+    slide_down: 'slidedown',
+    zoom: 'zoomin',
+    circle_open: 'circleopen',
+    circle_close: 'circleclose',
+    radial: 'radial',
+    pixelize: 'pixelize',
+};
+
+// ── Loudness targets (loudnorm I / TP / LRA) per platform ──
+const LOUDNESS_PRESETS = {
+    youtube: { i: -14, tp: -1, lra: 11 },
+    tiktok: { i: -14, tp: -1, lra: 7 },
+    reels: { i: -14, tp: -1, lra: 7 },
+    podcast: { i: -16, tp: -1.5, lra: 11 },
+    broadcast: { i: -23, tp: -1, lra: 15 },
+};
+
 /**
  * FONT_FAMILIES: populated at startup by initFonts() in fonts.js.
  * This is a mutable map that gets filled with downloaded Google Fonts paths.
@@ -40,4 +70,4 @@ function getFontFamilies() {
     return FONT_FAMILIES;
 }
 
-module.exports = { COLOR_PRESETS, FONT_FAMILIES, setFontFamilies, getFontFamilies };
+module.exports = { COLOR_PRESETS, TRANSITIONS, LOUDNESS_PRESETS, FONT_FAMILIES, setFontFamilies, getFontFamilies };
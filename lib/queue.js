@@ -0,0 +1,180 @@
+/**
+ * @module queue
+ * @description In-process render queue — priority FIFO with a fixed number of workers.
+ *
+ * Higher priority jobs run first; jobs with equal priority run in submission order.
+ * ETA is estimated from the average duration of recently completed (successful) jobs and the time the
+ * running jobs have already taken.
+ */
+
+const { log } = require('./logger');
+
+/** Named priority levels accepted by POST /render */
+const PRIORITY_LEVELS = { high: 10, normal: 0, low: -10 };
+
+/** Duration assumed for ETA before any job has completed */
+const DEFAULT_JOB_DURATION_SEC = 60;
+
+/** How many completed jobs feed the rolling average */
+const DURATION_SAMPLES = 20;
+
+/**
+ * Resolve a priority value from a request (name or number).
+ * @param {string|number} [priority] - 'high' | 'normal' | 'low' | number
+ * @returns {number} Numeric priority (higher runs first)
+ */
+function resolvePriority(priority) {
+    if (typeof priority === 'number' && isFinite(priority)) return priority;
+    return PRIORITY_LEVELS[priority] !== undefined ? PRIORITY_LEVELS[priority] : PRIORITY_LEVELS.normal;
+}
+
+/**
+ * Create a render queue.
+ * @param {Object} options
+ * @param {number} options.concurrency - Number of jobs processed in parallel
+ * @param {number} [options.maxSize=Infinity] - Maximum number of waiting jobs
+ * @param {function(string, Object, AbortSignal): Promise} options.worker - (jobId, data, signal) → Promise, called when a job starts;
+ *   resolves to false (or rejects) when the job failed — its duration then doesn't count for the ETA
+ * @returns {Object} Queue API
+ */
+function createRenderQueue({ concurrency, maxSize = Infinity, worker }) {
+    const waiting = []; // sorted: priority desc, then submission order
+    const running = new Map(); // jobId -> { started_at, priority, controller }
+    const durations = [];
+
+    function averageDuration() {
+        if (durations.length === 0) return DEFAULT_JOB_DURATION_SEC;
+        return durations.reduce((a, b) => a + b, 0) / durations.length;
+    }
+
+    function pump() {
+        while (running.size < concurrency && waiting.length > 0) {
+            const item = waiting.shift();
+            const startedAt = Date.now();
+            const controller = new AbortController();
+            running.set(item.jobId, { started_at: new Date(startedAt).toISOString(), priority: item.priority, controller });
+
+            Promise.resolve()
+                .then(() => worker(item.jobId, item.data, controller.signal))
+                .then((result) => {
+                    // Only completed jobs are representative for the ETA (not cancelled or failed ones)
+                    if (result === false || controller.signal.aborted) return;
+                    durations.push((Date.now() - startedAt) / 1000);
+                    if (durations.length > DURATION_SAMPLES) durations.shift();
+                })
+                .catch(err => log(item.jobId, 'error', `Queue worker failed: ${err.message}`))
+                .finally(() => {
+                    running.delete(item.jobId);
+                    pump();
+                });
+        }
+    }
+
+    /**
+     * Add a job to the queue. A job that is already waiting or running is not added again.
+     * @param {string} jobId - Job identifier
+     * @param {Object} data - Passed to the worker unchanged
+     * @param {Object} [options={}] - { priority }
+     * @returns {{ queue_position: number, eta_sec: number }|null} null if the queue is full
+     */
+    function enqueue(jobId, data, options = {}) {
+        if (has(jobId)) return getPosition(jobId);
+        if (waiting.length >= maxSize) return null;
+
+        const item = { jobId, data, priority: resolvePriority(options.priority), enqueued_at: new Date().toISOString() };
+        let idx = waiting.findIndex(w => w.priority < item.priority);
+        if (idx === -1) idx = waiting.length;
+        waiting.splice(idx, 0, item);
+
+        pump();
+        return getPosition(jobId);
+    }
+
+    /**
+     * Queue position and ETA for a job. Each worker frees up when its running job reaches the
+     * average duration (already elapsed time counted); waiting jobs take the first free worker.
+     * @param {string} jobId - Job identifier
+     * @returns {{ queue_position: number, eta_sec: number }|null} 0 = running, null = unknown
+     */
+    function getPosition(jobId) {
+        if (running.has(jobId)) return { queue_position: 0, eta_sec: 0 };
+        const idx = waiting.findIndex(w => w.jobId === jobId);
+        if (idx === -1) return null;
+
+        const avg = averageDuration();
+        const now = Date.now();
+        const freeAt = [...running.values()].map(r => Math.max(0, avg - (now - Date.parse(r.started_at)) / 1000));
+        while (freeAt.length < concurrency) freeAt.push(0);
+        let start = 0;
+        for (let i = 0; i <= idx; i++) {
+            freeAt.sort((a, b) => a - b);
+            start = freeAt[0];
+            freeAt[0] += avg;
+        }
+        return { queue_position: idx + 1, eta_sec: Math.round(start + avg) };
+    }
+
+    /**
+     * Remove a waiting job (running jobs are not affected).
+     * @param {string} jobId - Job identifier
+     * @returns {boolean} true if the job was waiting and has been removed
+     */
+    function remove(jobId) {
+        const idx = waiting.findIndex(w => w.jobId === jobId);
+        if (idx === -1) return false;
+        waiting.splice(idx, 1);
+        return true;
+    }
+
+    /**
+     * Cancel a job: waiting jobs are dropped, running jobs get their AbortSignal fired.
+     * @param {string} jobId - Job identifier
+     * @returns {'waiting'|'running'|null} Where the job was, or null if unknown
+     */
+    function cancel(jobId) {
+        if (remove(jobId)) return 'waiting';
+        const job = running.get(jobId);
+        if (!job) return null;
+        job.controller.abort();
+        return 'running';
+    }
+
+    /**
+     * @param {string} jobId - Job identifier
+     * @returns {boolean} true if the job is waiting or running
+     */
+    function has(jobId) {
+        return running.has(jobId) || waiting.some(w => w.jobId === jobId);
+    }
+
+    /**
+     * Snapshot for GET /queue.
+     * @returns {{ workers: number, running: Object[], waiting: Object[], avg_job_sec: number }}
+     */
+    function snapshot() {
+        return {
+            workers: concurrency,
+            avg_job_sec: Math.round(averageDuration()),
+            running: [...running].map(([job_id, r]) => ({ job_id, started_at: r.started_at, priority: r.priority })),
+            waiting: waiting.map(w => ({
+                job_id: w.jobId,
+                priority: w.priority,
+                enqueued_at: w.enqueued_at,
+                ...getPosition(w.jobId),
+            })),
+        };
+    }
+
+    return {
+        enqueue,
+        getPosition,
+        remove,
+        cancel,
+        has,
+        snapshot,
+        get runningCount() { return running.size; },
+        get waitingCount() { return waiting.length; },
+    };
+}
+
+module.exports = { createRenderQueue, resolvePriority, PRIORITY_LEVELS };
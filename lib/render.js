@@ -4,7 +4,6 @@
  * This is the core async job handler for POST /render.
  */
 
-const ffmpeg = require('fluent-ffmpeg');
 const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
@@ -12,24 +11,46 @@ const path = require('path');
 const { TEMP_DIR, R2_PUBLIC_URL_BASE } = require('./config');
 const { log } = require('./logger');
 const { downloadFile, uploadToR2, cleanupFiles, getAvailableDiskSpace } = require('./storage');
-const { generateAss } = require('./subtitles');
-const { escapeFfmpegPath } = require('./filters/text');
-const { FONTS_DIR } = require('./fonts');
+const { getVideoMetadata, parseTimemark, parseLoudnormStats, isAnimatedImage } = require('./metadata');
+const { planV1, planV2, measurePlan, toFfmpegCommand, describePlan } = require('./command');
+const { LOUDNESS_PRESETS } = require('./presets');
+
+/** Overall progress range (percent) covered by each phase */
+const PROGRESS_PHASES = {
+    downloading: [0, 15],
+    rendering: [15, 90],
+    uploading: [90, 100],
+};
+
+/** Minimum interval between status updates that don't change the percentage */
+const PROGRESS_INTERVAL_MS = 1000;
+
+/** Metadata assumed by dry runs when an input can't be probed (matches buildFilterChain defaults) */
+const DEFAULT_VIDEO_META = { width: 1080, height: 1920, duration: 10, fps: 30 };
 
 /**
  * Execute a render job asynchronously.
  * Downloads assets, applies effects, renders with FFmpeg, uploads to R2, and fires callback.
+ * When `signal` aborts, transfers and the FFmpeg process are killed and the job ends as `cancelled`.
+ * Failures end the job as `error` (never thrown).
+ * @returns {Promise<boolean>} true if the job finished as `done`
  */
 async function handleRender({
     jobId, project_id,
     timeline, // V2
-    video_url, audio_url, text_overlay, subtitle_url, subtitle_content, effects, // V1
-    callback_url, setJobStatus, serverUrl
+    video_url, audio_url, subtitle_url, subtitle_content, // V1
+    text_overlay, effects, // V1 + V2
+    callback_url, setJobStatus, serverUrl, signal
 }) {
     // File paths
     const outputPath = path.join(TEMP_DIR, `${jobId}_output.mp4`);
     const finalFileName = `final/${project_id}/final_${jobId}.mp4`;
     let tempFiles = []; // Track files for cleanup
+    let loudness = null; // loudnorm report (effects.audio.normalize)
+    let subtitleUrls = null; // sidecar subtitle URLs by format (effects.subtitles.sidecars)
+    let sidecars = []; // V2: sidecar files, kept next to the output at finalization
+
+    const report = createProgressReporter(jobId, project_id, setJobStatus);
 
     log(jobId, 'info', `=== RENDER JOB STARTED (${timeline ? 'V2' : 'V1'}) ===`);
     log(jobId, 'info', `Project: ${project_id}`);
@@ -49,11 +70,14 @@ async function handleRender({
         // ── V2: TIMELINE RENDER ────────────────────────────────
         if (timeline) {
             log(jobId, 'info', 'Step 1/3: Processing V2 Timeline...');
-            setJobStatus(jobId, 'downloading', { project_id, progress: 10 });
+            setJobStatus(jobId, 'downloading', { project_id, progress: 0 });
 
             // 1. Validate & Download Assets
             const assetMap = new Map(); // url -> localPath
             const downloads = [];
+            const transfers = createTransferTracker((loaded, total) => report('downloading', loaded, total, {
+                downloaded_bytes: loaded, download_total_bytes: total,
+            }));
 
             for (const item of timeline) {
                 if (item.source_url && !assetMap.has(item.source_url)) {
@@ -61,123 +85,41 @@ async function handleRender({
                     let ext = '.mp4';
                     try { ext = path.extname(new URL(item.source_url).pathname); } catch (e) { }
                     if (!ext && item.type === 'audio') ext = '.mp3';
+                    if (!ext && item.type === 'image') ext = '.png';
 
                     const localPath = path.join(TEMP_DIR, `${jobId}_asset_${assetMap.size}${ext}`);
                     assetMap.set(item.source_url, localPath);
                     tempFiles.push(localPath);
-                    downloads.push(downloadFile(item.source_url, localPath));
+                    downloads.push(downloadFile(item.source_url, localPath, { signal, onProgress: transfers.track(localPath) }));
                 }
             }
             await Promise.all(downloads);
+            const { watermarkPath, watermarkAnimated } = await downloadWatermark(effects, jobId, tempFiles, signal);
+            signal?.throwIfAborted();
             log(jobId, 'info', `Downloaded ${downloads.length} assets.`);
 
-            // 2. Prepare Subtitles (if any)
-            let subtitleFilter = null;
-            const subItems = timeline.filter(t => t.type === 'subtitle');
-            if (subItems.length > 0) {
-                const subs = subItems.map(s => ({
-                    start: s.start,
-                    end: s.end,
-                    text: s.text
-                }));
-                // Use style from first item or default
-                const subOptions = {
-                    animation: subItems[0].style || 'pop',
-                    font_size: 24,
-                    font_color: '#FFFFFF',
-                    stroke_color: '#000000'
-                };
-
-                const assContent = generateAss(subs, subOptions, 1080, 1920, 1.0);
-                const assPath = path.join(TEMP_DIR, `${jobId}_subs.ass`);
-                fs.writeFileSync(assPath, assContent);
-                tempFiles.push(assPath);
-
-                subtitleFilter = `subtitles='${escapeFfmpegPath(assPath)}':fontsdir='${escapeFfmpegPath(FONTS_DIR)}'`;
+            // Probe video clips (per-clip effects and subtitle/watermark sizing need their dimensions)
+            const assetMeta = new Map();
+            for (const item of timeline) {
+                if (item.type === 'video' && !assetMeta.has(item.source_url)) {
+                    assetMeta.set(item.source_url, await getVideoMetadata(assetMap.get(item.source_url)));
+                }
             }
 
-            // 3. Build Complex Filter & Render
+            // 2. Build Complex Filter & Render
             log(jobId, 'info', 'Step 2/3: Rendering V2 Timeline...');
-            setJobStatus(jobId, 'rendering', { project_id, progress: 30 });
-
-            await new Promise((resolve, reject) => {
-                const cmd = ffmpeg();
-                let filterComplex = [];
-                let inputCount = 0;
-
-                // Segments
-                const videoSegments = timeline.filter(t => t.type === 'video');
-                const audioSegments = timeline.filter(t => t.type === 'audio');
-
-                // Inputs & Trimming
-                const vStreams = [];
-                videoSegments.forEach((seg, idx) => {
-                    const inputPath = assetMap.get(seg.source_url);
-                    cmd.input(inputPath);
-
-                    const duration = seg.end - seg.start;
-                    // Trim video
-                    filterComplex.push(`[${inputCount}:v]trim=${seg.start}:${seg.end},setpts=PTS-STARTPTS[v${idx}]`);
-                    vStreams.push(`[v${idx}]`);
-                    inputCount++;
-                });
-
-                // Concatenate Video
-                let lastVideoStream = '[outv]';
-                if (vStreams.length > 0) {
-                    filterComplex.push(`${vStreams.join('')}concat=n=${vStreams.length}:v=1:a=0[vconcat]`);
-                    lastVideoStream = '[vconcat]';
-
-                    // Apply Subtitles if present
-                    if (subtitleFilter) {
-                        filterComplex.push(`${lastVideoStream}${subtitleFilter}[vsubs]`);
-                        lastVideoStream = '[vsubs]';
-                    } else {
-                        // Rename for consistency if no subs
-                        filterComplex.push(`${lastVideoStream}null[vfinal]`);
-                        lastVideoStream = '[vfinal]';
-                    }
-                    cmd.outputOptions(['-map', lastVideoStream]);
-                }
-
-                // Audio Mixing
-                const aStreams = [];
-                audioSegments.forEach((seg, idx) => {
-                    const inputPath = assetMap.get(seg.source_url);
-                    cmd.input(inputPath);
-
-                    // Delay audio: [1:a]adelay=5000|5000[a0]
-                    const delayMs = Math.round((seg.start || 0) * 1000);
-                    filterComplex.push(`[${inputCount}:a]adelay=${delayMs}|${delayMs}[a${idx}]`);
-                    aStreams.push(`[a${idx}]`);
-                    inputCount++;
-                });
-
-                if (aStreams.length > 0) {
-                    if (aStreams.length === 1) {
-                        // No mix needed for single audio
-                        cmd.outputOptions(['-map', aStreams[0]]);
-                    } else {
-                        filterComplex.push(`${aStreams.join('')}amix=inputs=${aStreams.length}:duration=longest[outa]`);
-                        cmd.outputOptions(['-map', '[outa]']);
-                    }
-                }
-
-                if (filterComplex.length > 0) {
-                    cmd.complexFilter(filterComplex);
-                }
-
-                cmd.outputOptions(getOutputOptions({}));
-
-                cmd.save(outputPath)
-                    .on('end', resolve)
-                    .on('error', (err, stdout, stderr) => {
-                        log(jobId, 'error', `FFmpeg Error: ${err.message}`);
-                        log(jobId, 'error', `Stderr: ${stderr}`);
-                        reject(err);
-                    })
-                    .run();
-            });
+            setJobStatus(jobId, 'rendering', { project_id, progress: PROGRESS_PHASES.rendering[0] });
+
+            const { plan, measured } = await planWithLoudness((loudness) => planV2({
+                jobId, tempDir: TEMP_DIR, timeline, assetMap, assetMeta, effects: effects || {},
+                textOverlay: text_overlay,
+                watermarkPath, watermarkAnimated,
+                loudness,
+            }), effects, jobId, signal);
+            tempFiles.push(...plan.tempFiles);
+            const stderr = await renderPlan(plan, outputPath, jobId, signal, report);
+            loudness = loudnessReport(effects, measured, stderr);
+            sidecars = plan.sidecars;
 
         }
         // ── V1: LEGACY RENDER (Restored) ───────────────────────
@@ -186,10 +128,14 @@ async function handleRender({
             const videoPath = path.join(TEMP_DIR, `${jobId}_video.mp4`);
             const audioPath = path.join(TEMP_DIR, `${jobId}_audio.mp3`);
             tempFiles.push(videoPath, audioPath);
+            setJobStatus(jobId, 'downloading', { project_id, progress: 0 });
 
+            const transfers = createTransferTracker((loaded, total) => report('downloading', loaded, total, {
+                downloaded_bytes: loaded, download_total_bytes: total,
+            }));
             await Promise.all([
-                downloadFile(video_url, videoPath),
-                downloadFile(audio_url, audioPath)
+                downloadFile(video_url, videoPath, { signal, onProgress: transfers.track(videoPath) }),
+                downloadFile(audio_url, audioPath, { signal, onProgress: transfers.track(audioPath) })
             ]);
 
             // Handle Subtitles (V1)
@@ -197,89 +143,71 @@ async function handleRender({
             if (subtitle_url) {
                 srtPath = path.join(TEMP_DIR, `${jobId}.srt`);
                 tempFiles.push(srtPath);
-                await downloadFile(subtitle_url, srtPath);
+                await downloadFile(subtitle_url, srtPath, { signal });
             } else if (subtitle_content) {
                 srtPath = path.join(TEMP_DIR, `${jobId}.srt`);
                 tempFiles.push(srtPath);
                 fs.writeFileSync(srtPath, subtitle_content);
             }
 
-            // Get Metadata
-            const videoMeta = await getVideoMetadata(videoPath);
-
-            // Build Filter Chain (V1)
-            const { videoFilters, audioFilters, needsWatermarkInput } = buildFilterChain(effects, videoMeta);
+            const { watermarkPath, watermarkAnimated } = await downloadWatermark(effects, jobId, tempFiles, signal);
 
-            // Subtitle Filter (V1)
-            if (srtPath) {
-                const srtContent = fs.readFileSync(srtPath, 'utf8');
-                const { filter: subFilter, assFilePath } = buildSubtitleFilter(srtContent, effects?.subtitles || {}, TEMP_DIR, jobId, videoMeta, effects?.speed || 1.0);
-                if (subFilter) {
-                    videoFilters.push(subFilter);
-                    if (assFilePath) tempFiles.push(assFilePath);
-                }
+            // Background music (V1)
+            let musicPath = null;
+            if (effects?.audio?.music_url) {
+                musicPath = path.join(TEMP_DIR, `${jobId}_music${mediaExtension(effects.audio.music_url, '.mp3')}`);
+                tempFiles.push(musicPath);
+                await downloadFile(effects.audio.music_url, musicPath, { signal, onProgress: transfers.track(musicPath) });
             }
 
-            // Text Overlay (V1)
-            if (text_overlay) {
-                const txtFilter = buildTextFilter(text_overlay, { ...videoMeta, ...effects?.text });
-                if (txtFilter) videoFilters.push(txtFilter);
-            }
+            // Get Metadata
+            const videoMeta = await getVideoMetadata(videoPath);
+            const audioMeta = await getVideoMetadata(audioPath).catch(() => null);
 
             // Render
             log(jobId, 'info', 'Step 2/4: Rendering (V1)...');
-            setJobStatus(jobId, 'rendering', { project_id, progress: 30 });
-
-            await new Promise((resolve, reject) => {
-                const cmd = ffmpeg()
-                    .input(videoPath)
-                    .input(audioPath);
-
-                // Construct complex filter string
-                let complexFilter = [];
-                let vL = '[0:v]';
-                let aL = '[1:a]';
-
-                if (videoFilters.length > 0) {
-                    complexFilter.push(`${vL}${videoFilters.join(',')}[vOut]`);
-                    cmd.outputOptions(['-map', '[vOut]']);
-                } else {
-                    cmd.outputOptions(['-map', '0:v']);
-                }
-
-                if (audioFilters.length > 0) {
-                    complexFilter.push(`${aL}${audioFilters.join(',')}[aOut]`);
-                    cmd.outputOptions(['-map', '[aOut]']);
-                } else {
-                    cmd.outputOptions(['-map', '1:a']);
-                }
-
-                if (complexFilter.length > 0) cmd.complexFilter(complexFilter);
-
-                cmd.outputOptions(getOutputOptions(effects || {}));
-
-                cmd.save(outputPath)
-                    .on('end', resolve)
-                    .on('error', reject)
-                    .run();
-            });
+            setJobStatus(jobId, 'rendering', { project_id, progress: PROGRESS_PHASES.rendering[0] });
+
+            const srtContent = srtPath ? fs.readFileSync(srtPath, 'utf8') : null;
+            const { plan, measured } = await planWithLoudness((loudness) => planV1({
+                jobId, tempDir: TEMP_DIR, videoPath, audioPath, videoMeta, audioMeta, effects: effects || {},
+                srtContent,
+                textOverlay: text_overlay,
+                watermarkPath, watermarkAnimated,
+                musicPath,
+                loudness,
+            }), effects, jobId, signal);
+            tempFiles.push(...plan.tempFiles);
+            const stderr = await renderPlan(plan, outputPath, jobId, signal, report);
+            loudness = loudnessReport(effects, measured, stderr);
 
             // V1 uploads to R2
             log(jobId, 'info', 'Step 3/4: Uploading V1 result to R2...');
-            setJobStatus(jobId, 'uploading', { project_id, progress: 80 });
+            setJobStatus(jobId, 'uploading', { project_id, progress: PROGRESS_PHASES.uploading[0] });
 
-            await uploadToR2(outputPath, finalFileName);
+            await uploadToR2(outputPath, finalFileName, 'video/mp4', {
+                signal,
+                onProgress: (loaded, total) => report('uploading', loaded, total, {
+                    uploaded_bytes: loaded, upload_total_bytes: total,
+                }),
+            });
             const publicUrl = `${R2_PUBLIC_URL_BASE}/${finalFileName}`;
+            subtitleUrls = await uploadSidecars(plan.sidecars, project_id, jobId, signal);
 
             log(jobId, 'info', `Job Done. URL: ${publicUrl}`);
-            setJobStatus(jobId, 'done', { project_id, video_url: publicUrl, progress: 100 });
+            const extras = { ...(loudness && { loudness }), ...(subtitleUrls && { subtitle_urls: subtitleUrls }) };
+            signal?.throwIfAborted(); // a cancel accepted as 'cancelling' never ends as done
+            setJobStatus(jobId, 'done', { project_id, video_url: publicUrl, progress: 100, ...extras });
 
             if (callback_url) {
-                await sendCallbackWithBackoff(jobId, callback_url, { job_id: jobId, project_id, status: 'success', video_url: publicUrl });
+                const sent = await sendCallbackWithBackoff(jobId, callback_url, {
+                    job_id: jobId, project_id, status: 'success', video_url: publicUrl, ...extras
+                });
+                setJobStatus(jobId, 'done', { callback_status: sent ? 'sent' : 'failed' });
             }
 
             cleanupFiles(outputPath, ...tempFiles);
-            return;
+            return true;
         }
 
         // ── Step 3: V2 Finalization (No R2 Upload) ─────────────
@@ -290,32 +218,382 @@ async function handleRender({
             const m = await getVideoMetadata(outputPath);
             metadata = { duration_sec: m.duration_sec, file_size: m.file_size };
         } catch (e) { console.warn(e); }
+        if (loudness) metadata.loudness = loudness;
 
         const downloadUrl = `${serverUrl}/download/${path.basename(outputPath)}`;
         log(jobId, 'info', `Render success. Download: ${downloadUrl}`);
 
-        setJobStatus(jobId, 'done', { project_id, download_url: downloadUrl, metadata, progress: 100 });
+        signal?.throwIfAborted();
+        const kept = keepSidecars(sidecars, outputPath, serverUrl);
+        const extras = kept ? { subtitle_urls: kept.urls, sidecar_files: kept.files } : {};
+        setJobStatus(jobId, 'done', { project_id, download_url: downloadUrl, output_file: path.basename(outputPath), metadata, progress: 100, ...extras });
 
         if (callback_url) {
-            await sendCallbackWithBackoff(jobId, callback_url, {
-                job_id: jobId, project_id, status: 'success', download_url: downloadUrl, metadata
+            const sent = await sendCallbackWithBackoff(jobId, callback_url, {
+                job_id: jobId, project_id, status: 'success', download_url: downloadUrl, metadata, ...extras
             });
+            setJobStatus(jobId, 'done', { callback_status: sent ? 'sent' : 'failed' });
         }
 
         // V2 cleanup (keep output for a while)
         cleanupFiles(...tempFiles);
+        return true;
 
     } catch (error) {
+        if (signal?.aborted) {
+            log(jobId, 'warn', 'RENDER CANCELLED');
+            setJobStatus(jobId, 'cancelled', { project_id });
+            cleanupFiles(outputPath, ...tempFiles);
+            if (callback_url) {
+                const sent = await sendCallbackWithBackoff(jobId, callback_url, { job_id: jobId, project_id, status: 'cancelled' });
+                setJobStatus(jobId, 'cancelled', { callback_status: sent ? 'sent' : 'failed' });
+            }
+            return false;
+        }
+
         log(jobId, 'error', `RENDER FAILED: ${error.message}`);
         setJobStatus(jobId, 'error', { project_id, error: error.message });
         cleanupFiles(outputPath, ...tempFiles);
-        if (callback_url) axios.post(callback_url, { job_id: jobId, project_id, status: 'error', error: error.message }).catch(() => { });
+        if (callback_url) {
+            axios.post(callback_url, { job_id: jobId, project_id, status: 'error', error: error.message })
+                .then(() => setJobStatus(jobId, 'error', { callback_status: 'sent' }))
+                .catch(() => setJobStatus(jobId, 'error', { callback_status: 'failed' }));
+        }
+        return false;
+    }
+}
+
+/**
+ * Dry run: plan a render without downloading media or spawning FFmpeg.
+ * Inputs are referenced by URL and probed directly by ffprobe when reachable
+ * (DEFAULT_VIDEO_META otherwise). Generated files (ASS, text) are returned inline, then deleted.
+ * @param {Object} payload - Validated /render payload
+ * @returns {Promise<Object>} describePlan() output plus { probes, files, warnings }
+ */
+async function previewRender(payload) {
+    const jobId = `preview_${payload.job_id || Date.now()}`;
+    const outputPath = path.join(TEMP_DIR, `${payload.job_id || jobId}_output.mp4`);
+    const warnings = [];
+    const probes = {};
+    const tempFiles = [];
+
+    const probe = async (url) => {
+        try {
+            probes[url] = await getVideoMetadata(url);
+        } catch (e) {
+            warnings.push(`Could not probe ${url} (${e.message}); assuming ${DEFAULT_VIDEO_META.width}x${DEFAULT_VIDEO_META.height}, ${DEFAULT_VIDEO_META.duration}s`);
+            probes[url] = null;
+        }
+        return probes[url];
+    };
+
+    try {
+        let plan;
+        if (payload.timeline) {
+            const assetMap = new Map();
+            const assetMeta = new Map();
+            for (const item of payload.timeline) {
+                if (item.source_url) assetMap.set(item.source_url, item.source_url);
+                if (item.type === 'video' && !assetMeta.has(item.source_url)) {
+                    assetMeta.set(item.source_url, (await probe(item.source_url)) || DEFAULT_VIDEO_META);
+                }
+            }
+            plan = planV2({
+                jobId, tempDir: TEMP_DIR, timeline: payload.timeline, assetMap, assetMeta,
+                effects: payload.effects || {},
+                textOverlay: payload.text_overlay,
+                ...previewWatermark(payload.effects),
+            });
+        } else {
+            const [videoMeta, audioMeta] = await Promise.all([probe(payload.video_url), probe(payload.audio_url)]);
+
+            let srtContent = payload.subtitle_content || null;
+            if (payload.subtitle_url) {
+                const srtPath = path.join(TEMP_DIR, `${jobId}.srt`);
+                tempFiles.push(srtPath);
+                await downloadFile(payload.subtitle_url, srtPath);
+                srtContent = fs.readFileSync(srtPath, 'utf8');
+            }
+
+            plan = planV1({
+                jobId, tempDir: TEMP_DIR,
+                videoPath: payload.video_url, audioPath: payload.audio_url,
+                videoMeta: videoMeta || DEFAULT_VIDEO_META, audioMeta,
+                effects: payload.effects || {},
+                srtContent,
+                textOverlay: payload.text_overlay,
+                ...previewWatermark(payload.effects),
+                musicPath: payload.effects?.audio?.music_url,
+            });
+        }
+        tempFiles.push(...plan.tempFiles);
+
+        // Generated text files inline; images (emoji overlays) by path only
+        const files = plan.tempFiles.map(f => ({ path: f, content: path.extname(f) === '.png' ? null : fs.readFileSync(f, 'utf8') }));
+        const result = { ...describePlan(plan, outputPath), probes, files, warnings };
+        if (wantsTwoPass(payload.effects)) {
+            const measure = measurePlan(plan);
+            if (measure) {
+                result.loudness_measure = describePlan(measure, '-');
+                warnings.push('Two-pass loudness: the render re-plans loudnorm with the stats measured by loudness_measure (linear=true)');
+            }
+        }
+        return result;
+    } finally {
+        cleanupFiles(...tempFiles);
+    }
+}
+
+/**
+ * File extension for a downloaded file, taken from the URL path.
+ * @param {string} url - File URL
+ * @param {string} [fallback='.png'] - Extension when the URL has none
+ * @returns {string} Extension including the dot
+ */
+function mediaExtension(url, fallback = '.png') {
+    try {
+        return path.extname(new URL(url).pathname).toLowerCase() || fallback;
+    } catch {
+        return fallback;
     }
 }
 
+/**
+ * Download effects.watermark.url (if any) and detect whether it is animated.
+ * @param {Object} [effects] - effects payload
+ * @param {string} jobId - Job identifier
+ * @param {string[]} tempFiles - Cleanup list (the downloaded file is appended)
+ * @param {AbortSignal} [signal] - Cancels the download
+ * @returns {Promise<{ watermarkPath: string|null, watermarkAnimated: boolean }>}
+ */
+async function downloadWatermark(effects, jobId, tempFiles, signal) {
+    if (!effects?.watermark?.url) return { watermarkPath: null, watermarkAnimated: false };
+
+    const watermarkPath = path.join(TEMP_DIR, `${jobId}_watermark${mediaExtension(effects.watermark.url)}`);
+    tempFiles.push(watermarkPath);
+    await downloadFile(effects.watermark.url, watermarkPath, { signal });
+    return { watermarkPath, watermarkAnimated: effects.watermark.animated ?? isAnimatedImage(watermarkPath) };
+}
+
+/**
+ * Watermark input for dry runs — referenced by URL, animation guessed from the extension.
+ * @param {Object} [effects] - effects payload
+ * @returns {{ watermarkPath: string|undefined, watermarkAnimated: boolean }}
+ */
+function previewWatermark(effects) {
+    const url = effects?.watermark?.url;
+    return {
+        watermarkPath: url,
+        watermarkAnimated: effects?.watermark?.animated ?? (!!url && /\.(gif|apng)$/.test(mediaExtension(url))),
+    };
+}
+
+/**
+ * @param {Object} [effects] - effects payload
+ * @returns {boolean} true if effects.audio asks for two-pass loudness normalization
+ */
+function wantsTwoPass(effects) {
+    return !!(effects?.audio?.normalize && effects.audio.loudness_mode === 'two_pass');
+}
+
+/**
+ * Plan a render, running the loudness measurement pass first when two-pass normalization is requested.
+ * Falls back to the single-pass plan if the measurement is unusable (e.g. silent audio).
+ * @param {function(Object=): Object} buildPlan - Plans the render, given measured loudnorm stats (or nothing)
+ * @param {Object} [effects] - effects payload
+ * @param {string} jobId - Job identifier
+ * @param {AbortSignal} [signal] - Cancellation signal
+ * @returns {Promise<{ plan: Object, measured: Object|null }>}
+ */
+async function planWithLoudness(buildPlan, effects, jobId, signal) {
+    const plan = buildPlan();
+    const measure = wantsTwoPass(effects) && measurePlan(plan);
+    if (!measure) return { plan, measured: null };
+
+    log(jobId, 'info', 'Measuring loudness (pass 1 of 2)...');
+    const measured = parseLoudnormStats(await runCommand(toFfmpegCommand(measure), '-', jobId, { signal }));
+    if (!measured || !Number.isFinite(measured.input_i)) {
+        log(jobId, 'warn', 'Loudness measurement unusable, keeping single-pass normalization');
+        return { plan, measured: null };
+    }
+    log(jobId, 'info', `Measured ${measured.input_i} LUFS, applying linear normalization`);
+    return { plan: buildPlan(measured), measured };
+}
+
+/**
+ * Loudness report for job status and callbacks: targets, measured input and achieved output.
+ * @param {Object} [effects] - effects payload
+ * @param {Object|null} measured - Stats from the measurement pass (two-pass mode)
+ * @param {string} stderr - FFmpeg stderr of the render
+ * @returns {Object|null} null when normalization is off
+ */
+function loudnessReport(effects, measured, stderr) {
+    const audio = effects?.audio;
+    if (!audio?.normalize) return null;
+    const preset = LOUDNESS_PRESETS[audio.loudness_preset] ? audio.loudness_preset : 'youtube';
+    const target = LOUDNESS_PRESETS[preset];
+    const stats = parseLoudnormStats(stderr) || {};
+    const input = measured || stats;
+    return {
+        mode: measured ? 'two_pass' : 'single',
+        preset,
+        target_i: target.i, target_tp: target.tp, target_lra: target.lra,
+        measured_i: input.input_i ?? null, measured_tp: input.input_tp ?? null, measured_lra: input.input_lra ?? null,
+        output_i: stats.output_i ?? null, output_tp: stats.output_tp ?? null, output_lra: stats.output_lra ?? null,
+        normalization_type: stats.normalization_type || null,
+    };
+}
+
+/** Content types of subtitle sidecar uploads */
+const SIDECAR_CONTENT_TYPES = { srt: 'application/x-subrip', vtt: 'text/vtt', ass: 'text/x-ssa' };
+
+/**
+ * Upload V1 subtitle sidecars next to the final video (`final/<project>/final_<job>.<format>`).
+ * @param {Array<{format: string, path: string}>} sidecars - plan.sidecars
+ * @param {string} project_id - Project ID
+ * @param {string} jobId - Job ID
+ * @param {AbortSignal} [signal] - Cancellation signal
+ * @returns {Promise<Object<string, string>|null>} Public URL by format, null when there are none
+ */
+async function uploadSidecars(sidecars, project_id, jobId, signal) {
+    if (!sidecars || sidecars.length === 0) return null;
+    const urls = {};
+    for (const { format, path: filePath } of sidecars) {
+        const fileName = `final/${project_id}/final_${jobId}.${format}`;
+        await uploadToR2(filePath, fileName, SIDECAR_CONTENT_TYPES[format] || 'text/plain', { signal });
+        urls[format] = `${R2_PUBLIC_URL_BASE}/${fileName}`;
+    }
+    log(jobId, 'info', `Uploaded subtitle sidecars: ${Object.keys(urls).join(', ')}`);
+    return urls;
+}
+
+/**
+ * Keep V2 subtitle sidecars next to the local output (`<job>_output.<format>`), served by /download.
+ * @param {Array<{format: string, path: string}>} sidecars - plan.sidecars
+ * @param {string} outputPath - Rendered video in TEMP_DIR
+ * @param {string} serverUrl - Public server URL
+ * @returns {{ urls: Object<string, string>, files: string[] }|null} Download URL by format and the
+ *   kept file names (job record `sidecar_files`, spared by the temp cleanup), null when there are none
+ */
+function keepSidecars(sidecars, outputPath, serverUrl) {
+    if (!sidecars || sidecars.length === 0) return null;
+    const urls = {};
+    const files = [];
+    const base = path.basename(outputPath, path.extname(outputPath));
+    for (const { format, path: filePath } of sidecars) {
+        const name = `${base}.${format}`;
+        fs.renameSync(filePath, path.join(TEMP_DIR, name));
+        urls[format] = `${serverUrl}/download/${name}`;
+        files.push(name);
+    }
+    return { urls, files };
+}
+
+/**
+ * Create a throttled progress reporter that maps phase-local progress onto the
+ * overall 0–100 range defined by PROGRESS_PHASES.
+ * @param {string} jobId - Job identifier
+ * @param {string} project_id - Project identifier
+ * @param {function} setJobStatus - Status updater
+ * @returns {function(string, number, number, Object=): void} (phase, done, total, extra)
+ */
+function createProgressReporter(jobId, project_id, setJobStatus) {
+    let lastPercent = -1;
+    let lastAt = 0;
+
+    return function report(phase, done, total, extra = {}) {
+        const [from, to] = PROGRESS_PHASES[phase];
+        const fraction = total > 0 ? Math.max(0, Math.min(1, done / total)) : 0;
+        const percent = Math.floor(from + (to - from) * fraction);
+        const now = Date.now();
+        if (percent === lastPercent && now - lastAt < PROGRESS_INTERVAL_MS) return;
+
+        lastPercent = percent;
+        lastAt = now;
+        setJobStatus(jobId, phase, { project_id, progress: percent, ...extra });
+    };
+}
+
+/**
+ * Aggregate byte progress over several parallel transfers.
+ * @param {function(number, number)} onChange - (loadedBytes, totalBytes) across all tracked transfers
+ * @returns {{ track: function(string): function(number, number) }}
+ */
+function createTransferTracker(onChange) {
+    const transfers = new Map();
+    return {
+        track(key) {
+            return (loaded, total) => {
+                transfers.set(key, { loaded, total });
+                let sumLoaded = 0, sumTotal = 0;
+                for (const t of transfers.values()) {
+                    sumLoaded += t.loaded;
+                    sumTotal += t.total || t.loaded;
+                }
+                onChange(sumLoaded, sumTotal);
+            };
+        },
+    };
+}
+
+/**
+ * Execute a plan: build the FFmpeg command and run it, reporting progress
+ * against the plan's expected output duration.
+ * @param {Object} plan - Plan from planV1/planV2
+ * @param {string} outputPath - Output file
+ * @param {string} jobId - Job identifier
+ * @param {AbortSignal} [signal] - Cancellation signal
+ * @param {function} report - Progress reporter from createProgressReporter
+ * @returns {Promise<string>} FFmpeg stderr (last lines)
+ */
+function renderPlan(plan, outputPath, jobId, signal, report) {
+    const expectedDuration = plan.expectedDuration;
+    return runCommand(toFfmpegCommand(plan), outputPath, jobId, {
+        signal,
+        onProgress: (sec) => report('rendering', sec, expectedDuration, {
+            rendered_sec: Math.round(sec), expected_duration_sec: Math.round(expectedDuration),
+        }),
+    });
+}
+
+/**
+ * Run a prepared FFmpeg command to completion.
+ * The process is SIGKILLed if `signal` aborts (also when the abort lands before spawn).
+ * @param {Object} cmd - fluent-ffmpeg command with inputs, filters and output options set
+ * @param {string} outputPath - Output file
+ * @param {string} jobId - Job identifier (for logs)
+ * @param {Object} [options={}] - { signal, onProgress } — cancellation signal,
+ *   callback receiving the output timestamp reached (seconds)
+ * @returns {Promise<string>} FFmpeg stderr (last lines)
+ */
+function runCommand(cmd, outputPath, jobId, options = {}) {
+    const { signal, onProgress } = options;
+    return new Promise((resolve, reject) => {
+        const onAbort = () => { if (cmd.ffmpegProc) cmd.kill('SIGKILL'); };
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        const done = (err, stderr) => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            err ? reject(err) : resolve(stderr || '');
+        };
+
+        cmd.on('start', () => { if (signal?.aborted) cmd.kill('SIGKILL'); })
+            .on('progress', (p) => { if (onProgress) onProgress(parseTimemark(p.timemark)); })
+            .on('end', (stdout, stderr) => done(null, stderr))
+            .on('error', (err, stdout, stderr) => {
+                if (!signal?.aborted) {
+                    log(jobId, 'error', `FFmpeg Error: ${err.message}`);
+                    log(jobId, 'error', `Stderr: ${stderr}`);
+                }
+                done(err);
+            })
+            .save(outputPath);
+    });
+}
+
 /**
  * Send callback with exponential backoff retry.
  * Retries: 0s, 5s, 15s (3 attempts total)
+ * @returns {Promise<boolean>} true if the callback was delivered
  */
 async function sendCallbackWithBackoff(jobId, url, payload) {
     const maxRetries = 3;
@@ -326,18 +604,24 @@ async function sendCallbackWithBackoff(jobId, url, payload) {
             log(jobId, 'info', `Sending callback to ${url} (attempt ${attempt + 1})`);
             await axios.post(url, payload, { timeout: 30000 });
             log(jobId, 'info', 'Callback sent successfully.');
-            return;
+            return true;
         } catch (err) {
             attempt++;
             log(jobId, 'warn', `Callback failed: ${err.message}`);
             if (attempt >= maxRetries) {
                 log(jobId, 'error', 'Callback gave up after max retries.');
-                return;
+                return false;
             }
             const delay = attempt * 5000;
             await sleep(delay);
         }
     }
+    return false;
+}
+
+/** Promise-based delay */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-module.exports = { handleRender };
+module.exports = { handleRender, previewRender, sendCallbackWithBackoff };
@@ -1,10 +1,54 @@
 /**
  * @module schema
- * @description Effects API schema — self-documenting reference for /effects endpoint.
+ * @description Effects API schema — self-documenting reference for /effects endpoint,
+ * also used by validate.js to check /render payloads.
  */
 
-const { COLOR_PRESETS } = require('./presets');
+const { COLOR_PRESETS, TRANSITIONS, LOUDNESS_PRESETS } = require('./presets');
 const { FONT_CATALOG, FONT_CATEGORIES } = require('./fonts');
+const { MUSIC_DEFAULTS } = require('./filters/audio');
+const { SIDECAR_FORMATS } = require('./filters/subtitle');
+const { ENTRY_ANIMATIONS, EXIT_ANIMATIONS, EASINGS } = require('./filters/animation');
+const { KARAOKE_DEFAULTS, SUBTITLE_FORMATS, STYLE_DEFAULTS: SUBTITLE_STYLE } = require('./subtitles');
+
+/** Side-chain ducking of background music under the voice-over (V1 effects.audio, V2 music items). */
+const DUCK_PARAMS = {
+    duck: { type: 'boolean', default: true, desc: 'Lower the music while the voice-over is speaking' },
+    duck_db: { type: 'number', range: [1, 40], default: MUSIC_DEFAULTS.duck_db, desc: 'Approximate music reduction under speech (dB)' },
+    duck_attack: { type: 'number', range: [0.01, 2000], default: MUSIC_DEFAULTS.duck_attack, desc: 'Duck attack (ms)' },
+    duck_release: { type: 'number', range: [0.01, 9000], default: MUSIC_DEFAULTS.duck_release, desc: 'Duck release (ms)' },
+};
+
+/** drawtext style (effects.text; also accepted per text layer, overriding effects.text). */
+const TEXT_STYLE_PARAMS = {
+    font_family: { type: 'string', values: Object.keys(FONT_CATALOG), default: 'poppins_regular', desc: 'Font family name' },
+    font_size: { type: 'number', range: [10, 120], default: 28, desc: 'Font size in pixels' },
+    font_color: { type: 'string', default: 'white', desc: 'Font color (name or hex)' },
+    stroke_color: { type: 'string', default: 'black', desc: 'Text stroke/border color' },
+    stroke_width: { type: 'number', range: [0, 10], default: 2, desc: 'Stroke width (0 = none)' },
+    shadow_color: { type: 'string', default: null, desc: 'Shadow color (null = none)' },
+    shadow_x: { type: 'number', range: [0, 20], default: 2, desc: 'Shadow X offset' },
+    shadow_y: { type: 'number', range: [0, 20], default: 2, desc: 'Shadow Y offset' },
+    bg_color: { type: 'string', default: null, desc: 'Highlight box color (null = none)' },
+    bg_opacity: { type: 'number', range: [0.0, 1.0], default: 0.6, desc: 'Highlight box opacity' },
+    bg_padding: { type: 'number', range: [0, 30], default: 10, desc: 'Highlight box padding (px)' },
+    position: { type: 'string', values: ['bottom_center', 'top_center', 'center', 'bottom_left', 'bottom_right', 'top_left', 'top_right'], default: 'bottom_center', desc: 'Text position' },
+    line_spacing: { type: 'number', range: [0, 30], default: 5, desc: 'Line spacing (px)' },
+    max_width: { type: 'number', range: [0.1, 1.0], default: 0.9, desc: 'Wrap width (fraction of frame width)' },
+    align: { type: 'string', values: ['left', 'center', 'right'], desc: 'Line alignment inside the text block (default: from position)' },
+    max_lines: { type: 'number', range: [0, 10], default: 0, desc: 'Maximum lines — the font shrinks to fit, then the text is cut with "…" (0 = no limit)' },
+    balance_lines: { type: 'boolean', default: true, desc: 'Break lines at similar widths' },
+    auto_shrink: { type: 'boolean', default: true, desc: 'Reduce the font size of text that overflows max_width, max_lines or the frame height' },
+    min_font_size: { type: 'number', range: [6, 120], desc: 'Auto-shrink floor (default: 60% of font_size)' },
+    animation: { type: 'string', values: ENTRY_ANIMATIONS, default: 'none', desc: 'Text entry animation (slide_up = slide_from_bottom)' },
+    exit_animation: { type: 'string', values: EXIT_ANIMATIONS, default: 'none', desc: 'Text exit animation (timed layers only — needs an `end`; slide_down = slide_to_bottom)' },
+    animation_duration: { type: 'number', range: [0.1, 5], default: 1, desc: 'Entry animation length (seconds; at most half the layer)' },
+    exit_duration: { type: 'number', range: [0.1, 5], desc: 'Exit animation length (seconds; default: animation_duration)' },
+    easing: { type: 'string', values: EASINGS, default: 'linear', desc: 'Easing of fades, slides and pop' },
+};
+
+/** How a V2 clip of another size is fitted to the output canvas. */
+const FIT_MODES = ['contain', 'cover', 'fill'];
 
 /** Full schema for all supported effects with types, ranges, and defaults. */
 const EFFECTS_SCHEMA = {
@@ -51,42 +95,53 @@ const EFFECTS_SCHEMA = {
     watermark: {
         description: 'Image/logo overlay',
         params: {
-            url: { type: 'string', desc: 'Image URL (PNG/JPG)' },
+            url: { type: 'string', desc: 'Image URL (PNG/JPG, animated GIF/APNG)' },
             position: { type: 'string', values: ['top_left', 'top_right', 'bottom_left', 'bottom_right', 'center'], default: 'bottom_right' },
             opacity: { type: 'number', range: [0.0, 1.0], default: 0.7, desc: 'Watermark opacity' },
             scale: { type: 'number', range: [0.05, 0.5], default: 0.15, desc: 'Scale relative to video width' },
+            start: { type: 'number', min: 0, default: 0, desc: 'Show from (seconds, output timeline)' },
+            end: { type: 'number', min: 0, desc: 'Hide after (seconds, output timeline; omit = until the end)' },
+            animated: { type: 'boolean', desc: 'Force animated (looping) input; auto-detected for GIF/APNG' },
         },
     },
     subtitles: {
-        description: 'Animated subtitles from SRT (CapCut style)',
+        description: 'Animated subtitles from SRT, WebVTT, ASS or JSON transcripts (CapCut style); V2 uses the style keys for subtitle items',
         params: {
-            url: { type: 'string', desc: 'URL to SRT file' },
-            content: { type: 'string', desc: 'Raw SRT content (utf-8 string)' },
-            font_family: { type: 'string', values: Object.keys(FONT_CATALOG), default: 'poppins_bold', desc: 'Font family' },
+            url: { type: 'string', desc: 'URL to an SRT, WebVTT, ASS or JSON file' },
+            content: { type: 'string', desc: 'Raw subtitle content; JSON: [{ start, end, text, words: [{ text, start, end }] }], { segments: [...] } or { words: [...] }' },
+            format: { type: 'string', values: SUBTITLE_FORMATS, default: 'auto', desc: 'Input format (auto = detect from content); ass is burned in untouched' },
+            mode: { type: 'string', values: ['burn', 'soft', 'both'], default: 'burn', desc: 'burn = drawn into the video, soft = selectable mov_text track, both = burned + track' },
+            sidecars: { type: 'array', items: { type: 'string', values: SIDECAR_FORMATS }, default: [], desc: 'Subtitle files next to the video — uploaded to R2 (V1) or served by /download (V2); URLs returned as subtitle_urls' },
+            language: { type: 'string', default: 'eng', desc: 'ISO 639-2 language tag of the soft track' },
+            font_family: { type: 'string', values: Object.keys(FONT_CATALOG), default: SUBTITLE_STYLE.font_family, desc: 'Font family (the family name is read from the font file)' },
             font_size: { type: 'number', range: [10, 100], default: 24, desc: 'Font size' },
             font_color: { type: 'string', default: 'white', desc: 'Font color (hex)' },
+            bold: { type: 'boolean', desc: 'Bold (default: from font_family, e.g. poppins_bold)' },
+            italic: { type: 'boolean', desc: 'Italic (default: from font_family, e.g. lora_italic)' },
             stroke_color: { type: 'string', default: 'black', desc: 'Outline color (hex)' },
-            animation: { type: 'string', values: ['none', 'pop', 'slide_up', 'karaoke', 'fade'], default: 'pop', desc: 'Animation style' },
+            stroke_width: { type: 'number', range: [0, 10], default: SUBTITLE_STYLE.stroke_width, desc: 'Outline width (0 = none)' },
+            shadow: { type: 'number', range: [0, 10], default: SUBTITLE_STYLE.shadow, desc: 'Shadow depth (0 = none)' },
+            shadow_color: { type: 'string', default: null, desc: 'Shadow color (hex; default translucent black)' },
+            bg_color: { type: 'string', default: null, desc: 'Background box color (hex; replaces the outline, null = none)' },
+            bg_opacity: { type: 'number', range: [0.0, 1.0], default: SUBTITLE_STYLE.bg_opacity, desc: 'Background box opacity' },
+            bg_padding: { type: 'number', range: [0, 30], default: SUBTITLE_STYLE.bg_padding, desc: 'Background box padding (px)' },
+            position: { type: 'string', values: ['bottom_center', 'top_center', 'center', 'bottom_left', 'bottom_right', 'top_left', 'top_right'], default: SUBTITLE_STYLE.position, desc: 'Subtitle alignment' },
+            margin_v: { type: 'number', range: [0, 1000], default: SUBTITLE_STYLE.margin_v, desc: 'Distance from the top/bottom edge (px)' },
+            margin_h: { type: 'number', range: [0, 1000], default: SUBTITLE_STYLE.margin_h, desc: 'Distance from the left/right edges (px)' },
+            max_lines: { type: 'number', range: [0, 10], default: SUBTITLE_STYLE.max_lines, desc: 'Maximum lines per cue — the font shrinks to fit (0 = no limit)' },
+            balance_lines: { type: 'boolean', default: SUBTITLE_STYLE.balance_lines, desc: 'Break lines at similar widths' },
+            auto_shrink: { type: 'boolean', default: SUBTITLE_STYLE.auto_shrink, desc: 'Reduce the font size of cues that overflow the safe area (frame minus margins)' },
+            min_font_size: { type: 'number', range: [6, 100], desc: 'Auto-shrink floor (default: 60% of font_size)' },
+            animation: { type: 'string', values: ['none', 'pop', 'slide_up', 'karaoke', 'fade'], default: 'pop', desc: 'Animation style (karaoke = word-by-word \\kf highlight)' },
+            chunk_words: { type: 'number', range: [0, 3], default: 0, desc: 'Show 1–3 words at a time (0 = whole cue)' },
+            highlight_color: { type: 'string', default: KARAOKE_DEFAULTS.highlight_color, desc: 'Karaoke: color of sung words (hex)' },
+            highlight_scale: { type: 'number', range: [100, 150], default: KARAOKE_DEFAULTS.highlight_scale, desc: 'Karaoke: active word scale (%; 100 = off)' },
+            karaoke_fill: { type: 'boolean', default: true, desc: 'Karaoke: sweep each word (\\kf); false = switch instantly (\\k)' },
         },
     },
     text: {
-        description: 'Static text overlay (simple title/watermark)',
-        params: {
-            font_family: { type: 'string', values: Object.keys(FONT_CATALOG), default: 'poppins_regular', desc: 'Font family name' },
-            font_size: { type: 'number', range: [10, 120], default: 28, desc: 'Font size in pixels' },
-            font_color: { type: 'string', default: 'white', desc: 'Font color (name or hex)' },
-            stroke_color: { type: 'string', default: 'black', desc: 'Text stroke/border color' },
-            stroke_width: { type: 'number', range: [0, 10], default: 2, desc: 'Stroke width (0 = none)' },
-            shadow_color: { type: 'string', default: null, desc: 'Shadow color (null = none)' },
-            shadow_x: { type: 'number', range: [0, 20], default: 2, desc: 'Shadow X offset' },
-            shadow_y: { type: 'number', range: [0, 20], default: 2, desc: 'Shadow Y offset' },
-            bg_color: { type: 'string', default: null, desc: 'Highlight box color (null = none)' },
-            bg_opacity: { type: 'number', range: [0.0, 1.0], default: 0.6, desc: 'Highlight box opacity' },
-            bg_padding: { type: 'number', range: [0, 30], default: 10, desc: 'Highlight box padding (px)' },
-            position: { type: 'string', values: ['bottom_center', 'top_center', 'center', 'bottom_left', 'bottom_right', 'top_left', 'top_right'], default: 'bottom_center', desc: 'Text position' },
-            line_spacing: { type: 'number', range: [0, 30], default: 5, desc: 'Line spacing (px)' },
-            animation: { type: 'string', values: ['none', 'fade_in', 'slide_up'], default: 'none', desc: 'Text entry animation' },
-        },
+        description: 'Text overlay style (text_overlay string, or the base style of text layers)',
+        params: TEXT_STYLE_PARAMS,
     },
     audio: {
         description: 'Audio effects',
@@ -95,6 +150,13 @@ const EFFECTS_SCHEMA = {
             fade_in: { type: 'number', range: [0, 5], default: 0, desc: 'Audio-only fade-in' },
             fade_out: { type: 'number', range: [0, 5], default: 0, desc: 'Audio-only fade-out' },
             normalize: { type: 'boolean', default: false, desc: 'Apply loudness normalization' },
+            loudness_preset: { type: 'string', values: Object.keys(LOUDNESS_PRESETS), default: 'youtube', desc: 'Normalization target: youtube/reels/tiktok -14 LUFS, podcast -16, broadcast -23' },
+            loudness_mode: { type: 'string', values: ['single', 'two_pass'], default: 'single', desc: 'two_pass measures first, then applies a linear gain (exact target, no pumping; slower)' },
+            music_url: { type: 'string', desc: 'Background music URL (V1; on V2 use an audio item with role "music")' },
+            music_volume: { type: 'number', range: [0.0, 3.0], default: MUSIC_DEFAULTS.volume, desc: 'Music bed volume' },
+            music_loop: { type: 'boolean', default: true, desc: 'Loop music shorter than the video' },
+            music_fade_out: { type: 'number', range: [0, 10], default: MUSIC_DEFAULTS.fade_out, desc: 'Music fade-out at the end (seconds)' },
+            ...DUCK_PARAMS,
         },
     },
     output: {
@@ -102,8 +164,180 @@ const EFFECTS_SCHEMA = {
         params: {
             quality: { type: 'string', values: ['low', 'medium', 'high', 'ultra'], default: 'medium', desc: 'Encoding quality' },
             max_duration: { type: 'number', desc: 'Trim output to N seconds' },
+            width: { type: 'number', range: [16, 4096], desc: 'V2 canvas width (default: first video clip)' },
+            height: { type: 'number', range: [16, 4096], desc: 'V2 canvas height (default: first video clip)' },
+            fps: { type: 'number', range: [1, 120], desc: 'V2 canvas frame rate (default: first video clip, else 30)' },
+            fit: { type: 'string', values: FIT_MODES, default: 'contain', desc: 'V2: how clips of another size are fitted to the canvas' },
+        },
+    },
+};
+
+/** Subtitle style keys of a brand kit (effects.subtitles without the source and track options) */
+const SUBTITLE_SOURCE_KEYS = ['url', 'content', 'format', 'mode', 'sidecars', 'language'];
+
+/** Brand kit — reusable style bundle, merged into `effects` by /render `brand_kit` (request values win). */
+const BRAND_KIT_SCHEMA = {
+    name: { type: 'string', required: true, desc: 'Display name (the id is derived from it unless `id` is given)' },
+    id: { type: 'string', desc: 'Kit id for /render `brand_kit` (lowercase letters, digits, - and _)' },
+    fonts: {
+        type: 'object',
+        desc: 'Font families (default font_family of effects.text and effects.subtitles)',
+        params: {
+            heading: { type: 'string', values: Object.keys(FONT_CATALOG), desc: 'Text overlays' },
+            body: { type: 'string', values: Object.keys(FONT_CATALOG), desc: 'Subtitles' },
+        },
+    },
+    palette: {
+        type: 'object',
+        desc: 'Brand colors (name or hex)',
+        params: {
+            primary: { type: 'string', desc: 'Main brand color' },
+            secondary: { type: 'string', desc: 'Second brand color' },
+            accent: { type: 'string', desc: 'Default karaoke highlight_color' },
+            text: { type: 'string', desc: 'Default font_color of text and subtitles' },
+            background: { type: 'string', desc: 'Background color' },
+        },
+    },
+    logo: { type: 'object', params: EFFECTS_SCHEMA.watermark.params, desc: 'Logo watermark (effects.watermark)' },
+    subtitles: {
+        type: 'object',
+        desc: 'Subtitle style (effects.subtitles style keys)',
+        params: Object.fromEntries(Object.entries(EFFECTS_SCHEMA.subtitles.params).filter(([key]) => !SUBTITLE_SOURCE_KEYS.includes(key))),
+    },
+    text: { type: 'object', params: TEXT_STYLE_PARAMS, desc: 'Text overlay style (effects.text)' },
+    color_preset: { type: 'string', values: Object.keys(COLOR_PRESETS), desc: 'Color grade (effects.color.preset, unless the request sets effects.color)' },
+};
+
+/** Effect groups accepted on individual V2 timeline clips (`timeline[].effects`), by item type. */
+const CLIP_EFFECTS = {
+    video: ['speed', 'crop', 'zoom', 'color', 'fade'],
+    image: ['zoom', 'color', 'fade'],
+    color: ['fade'],
+};
+
+/** Transition into a clip from the previous one (shared by all clip types). */
+const TRANSITION_PARAM = {
+    type: 'object',
+    desc: 'Transition from the previous clip into this one (clips overlap by `duration`)',
+    params: {
+        type: { type: 'string', values: Object.keys(TRANSITIONS), default: 'crossfade', desc: 'Transition style' },
+        duration: { type: 'number', range: [0.1, 5], default: 0.5, desc: 'Overlap (seconds, capped at half the shorter clip)' },
+    },
+};
+
+/** Overlay track placement, shared by video/image/color items (ignored on the base track). */
+const OVERLAY_PARAMS = {
+    track: { type: 'number', range: [0, 20], default: 0, desc: 'Layer: 0 = base sequence, >= 1 = overlay (higher on top)' },
+    layer: { type: 'number', range: [0, 20], desc: 'Alias of `track`' },
+    x: { type: 'number', desc: 'Overlay left edge in output pixels (default: centered)' },
+    y: { type: 'number', desc: 'Overlay top edge in output pixels (default: centered)' },
+    width: { type: 'number', min: 1, desc: 'Overlay width in pixels (height follows the aspect ratio if omitted)' },
+    height: { type: 'number', min: 1, desc: 'Overlay height in pixels (width follows the aspect ratio if omitted)' },
+    opacity: { type: 'number', range: [0.0, 1.0], default: 1, desc: 'Overlay opacity' },
+};
+
+/** Word-level timing of a subtitle cue (TTS / transcription output). */
+const WORD_PARAM = {
+    type: 'object',
+    params: {
+        text: { type: 'string', desc: 'Word' },
+        word: { type: 'string', desc: 'Alias of `text`' },
+        start: { type: 'number', min: 0, required: true, desc: 'Word start (seconds)' },
+        end: { type: 'number', min: 0, required: true, desc: 'Word end (seconds)' },
+    },
+};
+
+/** A timed text layer (V1 `text_overlay` array entry). */
+const TEXT_LAYER = {
+    type: 'object',
+    params: {
+        text: { type: 'string', required: true, desc: 'Text' },
+        start: { type: 'number', min: 0, default: 0, desc: 'Show from (seconds, output timeline)' },
+        end: { type: 'number', min: 0, desc: 'Hide at (seconds, output timeline; default: end of video)' },
+        ...TEXT_STYLE_PARAMS,
+    },
+};
+
+/** Schema for V2 `timeline` items, keyed by item `type`. */
+const TIMELINE_SCHEMA = {
+    video: {
+        description: 'Video segment — trimmed and concatenated with image/color clips in timeline order',
+        params: {
+            type: { type: 'string', values: ['video'], required: true },
+            source_url: { type: 'string', required: true, desc: 'Video URL' },
+            start: { type: 'number', min: 0, default: 0, desc: 'Trim start in the source (seconds); on overlay tracks: start on the output timeline' },
+            end: { type: 'number', min: 0, required: true, desc: 'Trim end in the source (seconds); on overlay tracks: end on the output timeline' },
+            source_start: { type: 'number', min: 0, default: 0, desc: 'Overlay tracks only: offset into the source (seconds)' },
+            fit: { type: 'string', values: FIT_MODES, desc: 'Fit to the canvas (default: effects.output.fit)' },
+            keep_audio: { type: 'boolean', default: false, desc: 'Keep the clip\'s own audio (trimmed in sync, mixed with audio items)' },
+            volume: { type: 'number', range: [0.0, 3.0], default: 1.0, desc: 'Clip audio volume (with keep_audio)' },
+            effects: { type: 'effects', groups: CLIP_EFFECTS.video, desc: `Per-clip effects (${CLIP_EFFECTS.video.join(', ')}), applied before concat; overlays use color and fade only` },
+            transition: TRANSITION_PARAM,
+            ...OVERLAY_PARAMS,
+        },
+    },
+    image: {
+        description: 'Still image shown for `duration` seconds, fitted to the output canvas',
+        params: {
+            type: { type: 'string', values: ['image'], required: true },
+            source_url: { type: 'string', required: true, desc: 'Image URL (PNG/JPG/WebP)' },
+            fit: { type: 'string', values: FIT_MODES, desc: 'Fit to the canvas (default: effects.output.fit)' },
+            duration: { type: 'number', range: [0.1, 600], desc: 'Display time (seconds); required on the base track' },
+            start: { type: 'number', min: 0, desc: 'Overlay tracks only: start on the output timeline (seconds)' },
+            end: { type: 'number', min: 0, desc: 'Overlay tracks only: end on the output timeline (default: start + duration)' },
+            effects: { type: 'effects', groups: CLIP_EFFECTS.image, desc: `Per-clip effects (${CLIP_EFFECTS.image.join(', ')}) — zoom = Ken Burns; overlays use color and fade only` },
+            transition: TRANSITION_PARAM,
+            ...OVERLAY_PARAMS,
+        },
+    },
+    color: {
+        description: 'Solid color clip (title cards, breaks) shown for `duration` seconds',
+        params: {
+            type: { type: 'string', values: ['color'], required: true },
+            color: { type: 'string', default: 'black', desc: 'Color name or hex (#RRGGBB)' },
+            duration: { type: 'number', range: [0.1, 600], desc: 'Display time (seconds); required on the base track' },
+            start: { type: 'number', min: 0, desc: 'Overlay tracks only: start on the output timeline (seconds)' },
+            end: { type: 'number', min: 0, desc: 'Overlay tracks only: end on the output timeline (default: start + duration)' },
+            effects: { type: 'effects', groups: CLIP_EFFECTS.color, desc: `Per-clip effects (${CLIP_EFFECTS.color.join(', ')})` },
+            transition: TRANSITION_PARAM,
+            ...OVERLAY_PARAMS,
+        },
+    },
+    audio: {
+        description: 'Audio track placed on the output timeline',
+        params: {
+            type: { type: 'string', values: ['audio'], required: true },
+            source_url: { type: 'string', required: true, desc: 'Audio URL' },
+            start: { type: 'number', min: 0, default: 0, desc: 'Position on the output timeline (seconds, hard-cut timeline — shifted for transition overlaps)' },
+            end: { type: 'number', min: 0, desc: 'End on the output timeline (seconds; informational for voice items)' },
+            volume: { type: 'number', range: [0.0, 3.0], default: 1.0, desc: 'Volume in the mix (items are summed, not averaged); music default ' + MUSIC_DEFAULTS.volume },
+            role: { type: 'string', values: ['voice', 'music'], default: 'voice', desc: 'music = background bed: looped/trimmed to `end` (default: video end) and ducked under the other audio' },
+            loop: { type: 'boolean', default: true, desc: 'Music only: loop when shorter than its slot' },
+            fade_out: { type: 'number', range: [0, 10], default: MUSIC_DEFAULTS.fade_out, desc: 'Music only: fade-out at the end (seconds)' },
+            ...DUCK_PARAMS,
+        },
+    },
+    subtitle: {
+        description: 'Subtitle cue burned into the output',
+        params: {
+            type: { type: 'string', values: ['subtitle'], required: true },
+            text: { type: 'string', required: true, desc: 'Cue text' },
+            start: { type: 'number', min: 0, required: true, desc: 'Cue start (seconds, hard-cut timeline — shifted for transition overlaps)' },
+            end: { type: 'number', min: 0, required: true, desc: 'Cue end (seconds, hard-cut timeline — shifted for transition overlaps)' },
+            style: { type: 'string', values: ['none', 'pop', 'slide_up', 'karaoke', 'fade'], default: 'pop', desc: 'Animation style (taken from the first cue; default: effects.subtitles.animation, else pop)' },
+            words: { type: 'array', items: WORD_PARAM, desc: 'Word timing (output timeline, like start/end) for karaoke and chunk_words' },
+        },
+    },
+    text: {
+        description: 'Timed text layer drawn above the video (drawtext; style keys override effects.text)',
+        params: {
+            type: { type: 'string', values: ['text'], required: true },
+            text: { type: 'string', required: true, desc: 'Text' },
+            start: { type: 'number', min: 0, required: true, desc: 'Show from (seconds, hard-cut timeline — shifted for transition overlaps)' },
+            end: { type: 'number', min: 0, required: true, desc: 'Hide at (seconds, hard-cut timeline — shifted for transition overlaps)' },
+            ...TEXT_STYLE_PARAMS,
         },
     },
 };
 
-module.exports = { EFFECTS_SCHEMA };
+module.exports = { EFFECTS_SCHEMA, TIMELINE_SCHEMA, TEXT_LAYER, CLIP_EFFECTS, BRAND_KIT_SCHEMA };
@@ -33,45 +33,69 @@ function extractR2Key(url) {
  * Download a file from R2 via the S3 API using streaming (low memory).
  * @param {string} key - R2 object key
  * @param {string} outputPath - Local file path to write to
+ * @param {AbortSignal} [signal] - Aborts the transfer
+ * @param {function(number, number)} [onProgress] - (loadedBytes, totalBytes) — total is 0 if unknown
  */
-async function downloadFromR2(key, outputPath) {
+async function downloadFromR2(key, outputPath, signal, onProgress) {
     log(null, 'info', `Downloading via S3 API (stream): ${key}`);
-    return new Promise((resolve, reject) => {
-        const fileStream = fs.createWriteStream(outputPath);
-        const s3Stream = s3.getObject({ Bucket: R2_BUCKET_NAME, Key: key }).createReadStream();
-
-        s3Stream.on('error', (err) => {
-            fileStream.close();
-            try { fs.unlinkSync(outputPath); } catch { }
-            reject(err);
-        });
-
-        fileStream.on('finish', () => {
-            const size = fs.statSync(outputPath).size;
-            log(null, 'info', `S3 download complete: ${(size / 1024 / 1024).toFixed(2)} MB`);
-            resolve();
-        });
-
-        fileStream.on('error', (err) => {
-            try { fs.unlinkSync(outputPath); } catch { }
-            reject(err);
+    if (signal) signal.throwIfAborted();
+    const request = s3.getObject({ Bucket: R2_BUCKET_NAME, Key: key });
+    const onAbort = () => request.abort();
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    try {
+        await new Promise((resolve, reject) => {
+            const fileStream = fs.createWriteStream(outputPath);
+            const s3Stream = request.createReadStream();
+
+            if (onProgress) {
+                let total = 0, loaded = 0;
+                request.on('httpHeaders', (code, headers) => { total = parseInt(headers['content-length'], 10) || 0; });
+                s3Stream.on('data', (chunk) => { loaded += chunk.length; onProgress(loaded, total); });
+            }
+
+            s3Stream.on('error', (err) => {
+                fileStream.close();
+                try { fs.unlinkSync(outputPath); } catch { }
+                reject(err);
+            });
+
+            fileStream.on('finish', () => {
+                const size = fs.statSync(outputPath).size;
+                log(null, 'info', `S3 download complete: ${(size / 1024 / 1024).toFixed(2)} MB`);
+                resolve();
+            });
+
+            fileStream.on('error', (err) => {
+                try { fs.unlinkSync(outputPath); } catch { }
+                reject(err);
+            });
+
+            s3Stream.pipe(fileStream);
         });
-
-        s3Stream.pipe(fileStream);
-    });
+    } finally {
+        if (signal) signal.removeEventListener('abort', onAbort);
+    }
 }
 
 /**
  * Download a file via HTTP(S) using streaming.
  * @param {string} url - Remote URL
  * @param {string} outputPath - Local file path to write to
+ * @param {AbortSignal} [signal] - Aborts the transfer
+ * @param {function(number, number)} [onProgress] - (loadedBytes, totalBytes) — total is 0 if unknown
  */
-async function downloadFromHttp(url, outputPath) {
+async function downloadFromHttp(url, outputPath, signal, onProgress) {
     log(null, 'info', `Downloading via HTTP: ${url}`);
     const writer = fs.createWriteStream(outputPath);
-    const response = await axios({ url, method: 'GET', responseType: 'stream', timeout: 300000 });
+    const response = await axios({ url, method: 'GET', responseType: 'stream', timeout: 300000, signal });
+    if (onProgress) {
+        const total = parseInt(response.headers['content-length'], 10) || 0;
+        let loaded = 0;
+        response.data.on('data', (chunk) => { loaded += chunk.length; onProgress(loaded, total); });
+    }
     response.data.pipe(writer);
     return new Promise((resolve, reject) => {
+        response.data.on('error', (err) => writer.destroy(err));
         writer.on('finish', resolve);
         writer.on('error', (err) => {
             writer.close();
@@ -86,19 +110,23 @@ async function downloadFromHttp(url, outputPath) {
  * falls back to HTTP for non-R2 URLs or if S3 fails.
  * @param {string} url - Source URL
  * @param {string} outputPath - Local file path to write to
+ * @param {Object} [options={}] - { signal, onProgress } — AbortSignal that cancels the download,
+ *   byte progress callback (loaded, total)
  */
-async function downloadFile(url, outputPath) {
+async function downloadFile(url, outputPath, options = {}) {
+    const { signal, onProgress } = options;
     const r2Key = extractR2Key(url);
     if (r2Key) {
         try {
-            await downloadFromR2(r2Key, outputPath);
+            await downloadFromR2(r2Key, outputPath, signal, onProgress);
             return;
         } catch (e) {
+            if (signal && signal.aborted) throw e;
             log(null, 'warn', `S3 failed (${e.message}), trying HTTP...`);
         }
-        await downloadFromHttp(url, outputPath);
+        await downloadFromHttp(url, outputPath, signal, onProgress);
     } else {
-        await downloadFromHttp(url, outputPath);
+        await downloadFromHttp(url, outputPath, signal, onProgress);
     }
 }
 
@@ -107,20 +135,32 @@ async function downloadFile(url, outputPath) {
  * @param {string} filePath - Local file to upload
  * @param {string} fileName - R2 object key (destination path)
  * @param {string} [contentType='video/mp4'] - MIME type
+ * @param {Object} [options={}] - { signal, onProgress } — AbortSignal that cancels the upload,
+ *   byte progress callback (loaded, total)
  * @returns {Promise} S3 upload result
  */
-async function uploadToR2(filePath, fileName, contentType = 'video/mp4') {
+async function uploadToR2(filePath, fileName, contentType = 'video/mp4', options = {}) {
+    const { signal, onProgress } = options;
+    if (signal) signal.throwIfAborted();
     const fileStream = fs.createReadStream(filePath);
     const fileSize = fs.statSync(filePath).size;
 
     log(null, 'info', `Uploading ${(fileSize / 1024 / 1024).toFixed(2)} MB to R2: ${fileName}`);
 
-    return s3.upload({
+    const upload = s3.upload({
         Bucket: R2_BUCKET_NAME,
         Key: fileName,
         Body: fileStream,
         ContentType: contentType,
-    }).promise();
+    });
+    const onAbort = () => upload.abort();
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    if (onProgress) upload.on('httpUploadProgress', (e) => onProgress(e.loaded, e.total || fileSize));
+    try {
+        return await upload.promise();
+    } finally {
+        if (signal) signal.removeEventListener('abort', onAbort);
+    }
 }
 
 /**
@@ -139,14 +179,15 @@ function cleanupFiles(...files) {
 
 /**
  * Clear all files in the temp directory (startup cleanup).
+ * @param {string[]} [keep=[]] - File names to preserve (e.g. finished V2 outputs still served by /download)
  */
-function clearTempDirectory() {
+function clearTempDirectory(keep = []) {
     if (!fs.existsSync(TEMP_DIR)) return;
     try {
         const files = fs.readdirSync(TEMP_DIR);
         let count = 0;
         for (const file of files) {
-            if (file === '.gitkeep') continue;
+            if (file === '.gitkeep' || keep.includes(file)) continue;
             const filePath = path.join(TEMP_DIR, file);
             try {
                 fs.unlinkSync(filePath);
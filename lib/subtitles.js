@@ -1,11 +1,14 @@
 /**
  * @module subtitles
- * @description SUBTITLES (SRT) → ASS converter with CapCut-style animations.
+ * @description SUBTITLES (SRT / WebVTT / JSON transcripts) → ASS converter with CapCut-style animations
+ * and word-level karaoke. Existing ASS files are passed through untouched.
  */
 
 const fs = require('fs');
 const path = require('path');
 const { getFontFamilies } = require('./presets');
+const { getFontFamilyName } = require('./fonts');
+const { createTextMeasurer, fitText } = require('./metrics');
 const { FONT_PATH } = require('./config');
 
 /**
@@ -50,6 +53,381 @@ function parseSrt(srtContent) {
     return subs;
 }
 
+/** Karaoke defaults (effects.subtitles) */
+const KARAOKE_DEFAULTS = { highlight_color: '#FFFF00', highlight_scale: 110 };
+
+/** Word-only transcripts are grouped into cues of at most this many words (split earlier at pauses) */
+const WORDS_PER_CUE = 6;
+
+/** A pause between two words at least this long (seconds) starts a new cue / chunk */
+const CUE_PAUSE = 1.0;
+
+/** Subtitle input formats (effects.subtitles.format); `auto` detects from content */
+const SUBTITLE_FORMATS = ['auto', 'srt', 'vtt', 'ass', 'json'];
+
+/**
+ * Detect the format of subtitle content.
+ * @param {string} content - Raw subtitle file content
+ * @returns {string} 'vtt', 'ass', 'json' or 'srt'
+ */
+function detectSubtitleFormat(content) {
+    const trimmed = String(content || '').replace(/^\uFEFF/, '').trim();
+    if (/^WEBVTT(?:[ \t]|$)/m.test(trimmed.split('\n', 1)[0])) return 'vtt';
+    if (/^\[Script Info\]/im.test(trimmed) || /^\[Events\]/im.test(trimmed)) return 'ass';
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) return 'json';
+    return 'srt';
+}
+
+/**
+ * Parse subtitle content into cues.
+ *
+ * JSON shapes (transcripts):
+ *   [{ start, end, text, words? }]       — cues, optionally with word timing
+ *   { cues: [...] } / { segments: [...] } — same, wrapped (Whisper verbose_json)
+ *   { words: [{ text|word, start, end }] } — words only (grouped into cues)
+ *
+ * ASS is burned in untouched (see buildSubtitleFilter); parsing it only yields plain-text cues
+ * for soft tracks and sidecar files.
+ *
+ * @param {string} content - Raw subtitle file content
+ * @param {string} [format='auto'] - One of SUBTITLE_FORMATS
+ * @returns {Array<{start: number, end: number, text: string, words?: Object[], settings?: Object}>}
+ */
+function parseSubtitles(content, format = 'auto') {
+    const resolved = !format || format === 'auto' ? detectSubtitleFormat(content) : format;
+    const clean = content.replace(/^\uFEFF/, '');
+    switch (resolved) {
+        case 'json': return parseJsonSubtitles(clean.trim());
+        case 'vtt': return parseVtt(clean);
+        case 'ass': return parseAss(clean);
+        default: return parseSrt(clean);
+    }
+}
+
+/**
+ * Parse the Dialogue lines of an ASS script into plain-text cues (override tags removed).
+ * @param {string} assContent - Raw ASS content
+ * @returns {Array<{start: number, end: number, text: string}>}
+ */
+function parseAss(assContent) {
+    const subs = [];
+    let fields = ['layer', 'start', 'end', 'style', 'name', 'marginl', 'marginr', 'marginv', 'effect', 'text'];
+    const parseTime = (t) => {
+        const m = String(t).trim().match(/^(\d+):(\d{2}):(\d{2})[.:](\d{2})$/);
+        return m ? parseInt(m[1]) * 3600 + parseInt(m[2]) * 60 + parseInt(m[3]) + parseInt(m[4]) / 100 : NaN;
+    };
+
+    for (const line of assContent.replace(/\r\n?/g, '\n').split('\n')) {
+        const [, key, value] = line.match(/^(Format|Dialogue):\s*(.*)$/) || [];
+        if (key === 'Format' && /\bText\s*$/.test(value)) {
+            fields = value.split(',').map(f => f.trim().toLowerCase());
+        } else if (key === 'Dialogue') {
+            const parts = value.split(',');
+            const row = {};
+            fields.forEach((field, idx) => {
+                row[field] = idx === fields.length - 1 ? parts.slice(idx).join(',') : parts[idx];
+            });
+            const start = parseTime(row.start);
+            const end = parseTime(row.end);
+            const text = String(row.text || '').replace(/\{[^}]*\}/g, '').replace(/\\[Nnh]/g, ' ').replace(/\s+/g, ' ').trim();
+            if (isFinite(start) && isFinite(end) && end > start && text) subs.push({ start, end, text });
+        }
+    }
+    return subs.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Timestamp for SRT (`00:00:01,500`) or WebVTT (`00:00:01.500`).
+ * @param {number} t - Seconds
+ * @param {string} separator - ',' (SRT) or '.' (WebVTT)
+ * @returns {string}
+ */
+function formatCueTime(t, separator) {
+    const ms = Math.max(0, Math.round(t * 1000));
+    const h = Math.floor(ms / 3600000);
+    const m = Math.floor(ms / 60000) % 60;
+    const sec = Math.floor(ms / 1000) % 60;
+    const pad = (n, w = 2) => String(n).padStart(w, '0');
+    return `${pad(h)}:${pad(m)}:${pad(sec)}${separator}${pad(ms % 1000, 3)}`;
+}
+
+/**
+ * Serialize cues as SRT.
+ * @param {Array<{start: number, end: number, text: string}>} cues
+ * @returns {string}
+ */
+function formatSrt(cues) {
+    return cues.map((cue, idx) =>
+        `${idx + 1}\n${formatCueTime(cue.start, ',')} --> ${formatCueTime(cue.end, ',')}\n${cue.text}\n`).join('\n');
+}
+
+/**
+ * Serialize cues as WebVTT.
+ * @param {Array<{start: number, end: number, text: string}>} cues
+ * @returns {string}
+ */
+function formatVtt(cues) {
+    const escape = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    return 'WEBVTT\n\n' + cues.map(cue =>
+        `${formatCueTime(cue.start, '.')} --> ${formatCueTime(cue.end, '.')}\n${escape(cue.text)}\n`).join('\n');
+}
+
+/**
+ * Parse a WebVTT timestamp (`HH:MM:SS.mmm` or `MM:SS.mmm`).
+ * @param {string} ts - Timestamp
+ * @returns {number} Seconds (NaN if invalid)
+ */
+function parseVttTime(ts) {
+    const m = String(ts).trim().match(/^(?:(\d+):)?(\d{2}):(\d{2})[.,](\d{3})$/);
+    if (!m) return NaN;
+    return (parseInt(m[1] || '0') * 3600) + parseInt(m[2]) * 60 + parseInt(m[3]) + parseInt(m[4]) / 1000;
+}
+
+/**
+ * Parse WebVTT content. NOTE/STYLE/REGION blocks and cue identifiers are skipped, cue settings
+ * (align, line, position) are kept for placement, markup tags are stripped and inline
+ * timestamps (`<00:00:01.500>`) become word timing.
+ * @param {string} vttContent - Raw WebVTT content
+ * @returns {Array<{start: number, end: number, text: string, words?: Object[], settings?: Object}>}
+ */
+function parseVtt(vttContent) {
+    const subs = [];
+    const blocks = vttContent.replace(/\r\n?/g, '\n').split(/\n{2,}/);
+
+    for (const block of blocks) {
+        const lines = block.split('\n').filter(l => l.trim() !== '');
+        const timeIdx = lines.findIndex(l => l.includes('-->'));
+        if (timeIdx === -1 || /^(WEBVTT|NOTE|STYLE|REGION)\b/.test(lines[0])) continue;
+
+        const [startPart, rest] = lines[timeIdx].split('-->');
+        const [endPart, ...settingParts] = rest.trim().split(/\s+/);
+        const start = parseVttTime(startPart);
+        const end = parseVttTime(endPart);
+        if (!isFinite(start) || !isFinite(end) || end <= start) continue;
+
+        const raw = lines.slice(timeIdx + 1).join(' ');
+        const text = stripVttMarkup(raw);
+        if (!text) continue;
+
+        const cue = { start, end, text };
+        const words = vttTimedWords(raw, start, end);
+        if (words.length > 1) cue.words = words;
+
+        const settings = {};
+        for (const part of settingParts) {
+            const [key, value] = part.split(':');
+            if (['align', 'line', 'position'].includes(key) && value) settings[key] = value;
+        }
+        if (Object.keys(settings).length) cue.settings = settings;
+        subs.push(cue);
+    }
+    return subs;
+}
+
+/**
+ * Plain text of a WebVTT cue payload (tags removed, entities decoded).
+ * @param {string} text - Cue payload
+ * @returns {string}
+ */
+function stripVttMarkup(text) {
+    return text
+        .replace(/<[^>]*>/g, '')
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&nbsp;/g, ' ').replace(/&amp;/g, '&')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Word timing from WebVTT inline timestamps: each `<hh:mm:ss.mmm>` starts a new timed segment.
+ * @param {string} raw - Cue payload with markup
+ * @param {number} start - Cue start
+ * @param {number} end - Cue end
+ * @returns {Array<{text: string, start: number, end: number}>} Empty when there are no timestamps
+ */
+function vttTimedWords(raw, start, end) {
+    const parts = raw.split(/<((?:\d+:)?\d{2}:\d{2}\.\d{3})>/);
+    if (parts.length < 3) return [];
+
+    const segments = [{ text: parts[0], start }];
+    for (let i = 1; i < parts.length; i += 2) segments.push({ text: parts[i + 1], start: parseVttTime(parts[i]) });
+    return segments
+        .map((seg, idx) => ({ text: stripVttMarkup(seg.text), start: seg.start, end: idx + 1 < segments.length ? segments[idx + 1].start : end }))
+        .filter(w => w.text && w.end >= w.start);
+}
+
+/**
+ * Parse JSON subtitles (see parseSubtitles).
+ * @param {string} json - JSON string
+ * @returns {Array<{start: number, end: number, text: string, words?: Object[]}>}
+ */
+function parseJsonSubtitles(json) {
+    let data;
+    try {
+        data = JSON.parse(json);
+    } catch (e) {
+        throw new Error(`Invalid subtitle JSON: ${e.message}`);
+    }
+
+    if (!Array.isArray(data) && Array.isArray(data.words) && !data.cues && !data.segments) {
+        return wordsToCues(normalizeWords(data.words), WORDS_PER_CUE);
+    }
+
+    const cues = Array.isArray(data) ? data : (data.cues || data.segments || []);
+    const subs = [];
+    for (const cue of cues) {
+        const words = normalizeWords(cue.words);
+        const start = Number(cue.start ?? (words[0] && words[0].start));
+        const end = Number(cue.end ?? (words.length && words[words.length - 1].end));
+        const text = String(cue.text ?? words.map(w => w.text).join(' ')).trim();
+        if (!isFinite(start) || !isFinite(end) || end <= start || !text) continue;
+        subs.push(words.length ? { start, end, text, words } : { start, end, text });
+    }
+    return subs;
+}
+
+/**
+ * Normalize a word timing list: `{ text | punctuated_word | word, start, end }` with numeric times, in time order.
+ * @param {Object[]} [words] - Word list from a payload or transcript
+ * @returns {Array<{text: string, start: number, end: number}>}
+ */
+function normalizeWords(words) {
+    if (!Array.isArray(words)) return [];
+    return words
+        .map(w => ({ text: String(w.text ?? w.punctuated_word ?? w.word ?? '').trim(), start: Number(w.start), end: Number(w.end) }))
+        .filter(w => w.text && isFinite(w.start) && isFinite(w.end) && w.end >= w.start)
+        .sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Group words into cues of up to `perCue` words, starting a new cue at pauses (CUE_PAUSE).
+ * Each cue keeps its words; cues run until the next cue of the same group begins.
+ * @param {Array<{text: string, start: number, end: number}>} words - Normalized words
+ * @param {number} perCue - Maximum words per cue
+ * @param {number} [end] - End of the last cue (default: end of the last word)
+ * @returns {Array<{start: number, end: number, text: string, words: Object[]}>}
+ */
+function wordsToCues(words, perCue, end) {
+    const groups = [];
+    for (const word of words) {
+        const group = groups[groups.length - 1];
+        const prev = group && group[group.length - 1];
+        if (!group || group.length >= perCue || word.start - prev.end >= CUE_PAUSE) groups.push([word]);
+        else group.push(word);
+    }
+
+    return groups.map((group, idx) => {
+        const last = group[group.length - 1];
+        const next = groups[idx + 1];
+        // Hold the chunk on screen until the next one (no flicker), except across pauses
+        let cueEnd = next && next[0].start - last.end < CUE_PAUSE ? next[0].start : last.end;
+        if (!next && end !== undefined) cueEnd = Math.max(last.end, end);
+        return { start: group[0].start, end: cueEnd, text: group.map(w => w.text).join(' '), words: group };
+    });
+}
+
+/**
+ * Split cues into CapCut-style chunks of `chunkWords` words. Cues without word timing
+ * get evenly estimated timing (see estimateWords).
+ * @param {Array} subtitles - Parsed cues
+ * @param {number} chunkWords - Words per chunk (1–3); 0 keeps whole cues
+ * @returns {Array} Cues
+ */
+function chunkCues(subtitles, chunkWords) {
+    if (!(chunkWords > 0)) return subtitles;
+    return subtitles.flatMap(sub => wordsToCues(cueWords(sub), chunkWords, sub.end)
+        .map(chunk => (sub.settings ? { ...chunk, settings: sub.settings } : chunk)));
+}
+
+/**
+ * Word timing of a cue — its own `words`, or estimated by spreading the cue over its words
+ * proportionally to their length.
+ * @param {{start: number, end: number, text: string, words?: Object[]}} sub - Cue
+ * @returns {Array<{text: string, start: number, end: number}>}
+ */
+function cueWords(sub) {
+    const words = normalizeWords(sub.words);
+    if (words.length) return words;
+
+    const parts = sub.text.split(/\s+/).filter(Boolean);
+    const totalChars = parts.reduce((sum, w) => sum + w.length, 0) || 1;
+    let t = sub.start;
+    return parts.map(text => {
+        const start = t;
+        t += (sub.end - sub.start) * text.length / totalChars;
+        return { text, start, end: t };
+    });
+}
+
+/**
+ * Build karaoke dialogue text: one `\k`/`\kf` tag per word (plus silent gaps) so sung words turn
+ * to the highlight color, with an optional scale bump while a word is active.
+ * @param {{start: number}} sub - Cue
+ * @param {Array<{text: string, start: number, end: number}>} words - Word timing (cueWords)
+ * @param {Set<number>} lineStarts - Indices of words that begin a new line (fitText)
+ * @param {Object} options - { highlight_color, highlight_scale, karaoke_fill }
+ * @param {string} baseColor - ASS color of unsung text
+ * @param {number} timeScale - Output time scale (1 / speed)
+ * @returns {string} ASS dialogue text
+ */
+function karaokeText(sub, words, lineStarts, options, baseColor, timeScale) {
+    const tag = options.karaoke_fill === false ? '\\k' : '\\kf';
+    const scale = options.highlight_scale || KARAOKE_DEFAULTS.highlight_scale;
+    const highlight = hexToAss(options.highlight_color || KARAOKE_DEFAULTS.highlight_color);
+    const cs = (sec) => Math.max(0, Math.round(sec * timeScale * 100));
+    const ms = (sec) => Math.max(0, Math.round((sec - sub.start) * timeScale * 1000));
+
+    // Karaoke: text is SecondaryColour until its syllable is reached, PrimaryColour afterwards
+    let text = `{\\1c${inlineColor(highlight)}\\2c${inlineColor(baseColor)}}`;
+    let cursor = sub.start;
+    words.forEach((word, idx) => {
+        if (idx > 0) text += lineStarts.has(idx) ? '\\N' : ' ';
+
+        const gap = word.start - cursor;
+        if (gap >= 0.01) text += `{\\k${cs(gap)}}`;
+        let tags = `${tag}${cs(word.end - Math.max(word.start, cursor))}`;
+        if (scale !== 100) {
+            const from = ms(word.start), to = ms(word.end);
+            tags += `\\fscx100\\fscy100\\t(${from},${from + 80},\\fscx${scale}\\fscy${scale})\\t(${to},${to + 80},\\fscx100\\fscy100)`;
+        }
+        text += `{${tags}}${word.text}`;
+        cursor = Math.max(cursor, word.end);
+    });
+    return text;
+}
+
+/**
+ * ASS placement tags for WebVTT cue settings: `align` (start/left, center, end/right),
+ * `line` (percentage from the top) and `position` (percentage from the left).
+ * Line numbers (`line:-1`) are not mapped — those cues keep the default bottom placement.
+ * @param {Object} [settings] - { align, line, position }
+ * @param {number} videoWidth - PlayResX
+ * @param {number} videoHeight - PlayResY
+ * @returns {string} Override block ('' when nothing applies)
+ */
+function vttPlacement(settings, videoWidth, videoHeight) {
+    if (!settings) return '';
+    const percent = (v) => (/^-?[\d.]+%/.test(v || '') ? parseFloat(v) / 100 : null);
+    const column = { start: 0, left: 0, end: 2, right: 2 }[settings.align] ?? 1;
+    const line = percent(settings.line && settings.line.split(',')[0]);
+    const position = percent(settings.position && settings.position.split(',')[0]);
+    if (line === null && position === null) return column === 1 ? '' : `{\\an${column + 1}}`;
+
+    // Positioned: anchor top (\an7–9) at `line`, else bottom (\an1–3) at the default margin
+    const an = (line !== null ? 7 : 1) + column;
+    const x = position !== null ? position * videoWidth : [10, videoWidth / 2, videoWidth - 10][column];
+    const y = line !== null ? line * videoHeight : videoHeight - 50;
+    return `{\\an${an}\\pos(${Math.round(x)},${Math.round(y)})}`;
+}
+
+/**
+ * Options without null/undefined values (null = "unset" in payloads).
+ * @param {Object} options
+ * @returns {Object}
+ */
+function definedOptions(options) {
+    return Object.fromEntries(Object.entries(options).filter(([, v]) => v !== undefined && v !== null));
+}
+
 /**
  * Normalize time format for ASS.
  */
@@ -63,64 +441,133 @@ function formatAssTime(t) {
 
 /**
  * Hex to ASS color.
+ * @param {string} hex - #RRGGBB
+ * @param {number} [opacity=1] - 0 (transparent) – 1 (opaque)
+ * @returns {string} &HAABBGGRR
  */
-function hexToAss(hex) {
-    if (!hex) return '&H00FFFFFF';
+function hexToAss(hex, opacity = 1) {
+    const alpha = Math.round((1 - Math.max(0, Math.min(1, opacity))) * 255).toString(16).padStart(2, '0').toUpperCase();
+    if (!hex) return `&H${alpha}FFFFFF`;
     const clean = hex.replace('#', '');
     if (clean.length === 6) {
         const r = clean.substring(0, 2);
         const g = clean.substring(2, 4);
         const b = clean.substring(4, 6);
-        return `&H00${b}${g}${r}`;
+        return `&H${alpha}${b}${g}${r}`;
     }
-    return '&H00FFFFFF';
+    return `&H${alpha}FFFFFF`;
 }
 
+/** Subtitle style defaults (effects.subtitles) */
+const STYLE_DEFAULTS = {
+    font_family: 'poppins_bold',
+    stroke_width: 2,
+    shadow: 0,
+    bg_opacity: 0.6,
+    bg_padding: 10,
+    position: 'bottom_center',
+    margin_v: 50,
+    margin_h: 10,
+    max_lines: 0,
+    balance_lines: true,
+    auto_shrink: true,
+};
+
+/** effects.subtitles.position → ASS numpad alignment */
+const ASS_ALIGNMENT = {
+    bottom_left: 1, bottom_center: 2, bottom_right: 3,
+    center: 5,
+    top_left: 7, top_center: 8, top_right: 9,
+};
+
 /**
- * Wrap text to max characters per line.
- * @param {string} text 
- * @param {number} maxChars 
- * @returns {string} Text with \N for newlines
+ * Resolve a FONT_CATALOG key to the ASS style font. libass picks fonts from `fontsdir` by family
+ * name and weight, so the family is read from the TTF and the weight follows the key
+ * (`_semibold` 600, `_bold` 700) unless `bold` is set.
+ * @param {Object} options - { font_family, bold, italic }
+ * @returns {{ name: string, path: string|null, bold: number, italic: number }} Style Fontname, font file
+ *   (for metrics), Bold (0/1 or weight), Italic (0/1)
  */
-function wrapText(text, maxChars) {
-    if (text.length <= maxChars) return text;
+function resolveSubtitleFont(options) {
+    const key = options.font_family || STYLE_DEFAULTS.font_family;
+    const fontPath = getFontFamilies()[key] || (fs.existsSync(FONT_PATH) ? FONT_PATH : null);
+    const name = (fontPath && getFontFamilyName(fontPath)) || 'Arial';
 
-    const words = text.split(' ');
-    let lines = [];
-    let currentLine = words[0];
+    let weight = /_semibold$/.test(key) ? 600 : /_bold$/.test(key) ? 700 : 400;
+    if (options.bold !== undefined && options.bold !== null) weight = options.bold ? Math.max(weight, 700) : 400;
+    const italic = options.italic ?? /_italic$/.test(key);
+    return { name, path: fontPath, bold: weight === 700 ? 1 : weight === 400 ? 0 : weight, italic: italic ? 1 : 0 };
+}
 
-    for (let i = 1; i < words.length; i++) {
-        if (currentLine.length + 1 + words[i].length <= maxChars) {
-            currentLine += ' ' + words[i];
-        } else {
-            lines.push(currentLine);
-            currentLine = words[i];
-        }
-    }
-    lines.push(currentLine);
-    return lines.join('\\N');
+/**
+ * Anchor point of the style alignment (where \pos/\move place the text).
+ * @param {number} alignment - ASS numpad alignment
+ * @param {number} width - PlayResX
+ * @param {number} height - PlayResY
+ * @param {number} marginH - Left/right margin
+ * @param {number} marginV - Vertical margin
+ * @returns {{ x: number, y: number }}
+ */
+function alignmentAnchor(alignment, width, height, marginH, marginV) {
+    const column = (alignment - 1) % 3;
+    const row = Math.floor((alignment - 1) / 3);
+    return {
+        x: [marginH, Math.floor(width / 2), width - marginH][column],
+        y: [height - marginV, Math.floor(height / 2), marginV][row],
+    };
+}
+
+/**
+ * ASS color for inline override tags (`&HBBGGRR&`).
+ * @param {string} assColor - Style color (`&HAABBGGRR`)
+ * @returns {string}
+ */
+function inlineColor(assColor) {
+    return `${assColor.replace('&H00', '&H')}&`;
 }
 
 /**
  * Generate ASS content.
- * @param {Array} subtitles 
- * @param {Object} [options={}] 
+ *
+ * Cues may carry word timing (`words: [{ text, start, end }]`). With `chunk_words` (1–3) cues are
+ * split into chunks of that many words; the `karaoke` animation highlights word by word
+ * (timing estimated from word length when a cue has none).
+ *
+ * @param {Array} subtitles - [{ start, end, text, words? }]
+ * @param {Object} [options={}] - effects.subtitles style (font, colors, outline/shadow/box, position, margins,
+ *   animation, chunk_words, highlight_*, karaoke_fill)
  * @param {number} [videoWidth=1080]
  * @param {number} [videoHeight=1920]
  * @param {number} [speed=1.0]
  * @returns {string} ASS content
  */
 function generateAss(subtitles, options = {}, videoWidth = 1080, videoHeight = 1920, speed = 1.0) {
+    const style = { ...STYLE_DEFAULTS, ...definedOptions(options) };
     const fontSize = options.font_size || 24;
     const fontPrimary = hexToAss(options.font_color || '#FFFFFF');
-    const fontOutline = hexToAss(options.stroke_color || '#000000');
-    // Default wrap to ~20 chars for vertical (1080px) with large text, or 40 for smaller text.
-    // Rough heuristic: Width / (FontSize * 0.6)
-    const charCapacity = Math.floor(videoWidth / (fontSize * 0.6));
-    const maxChars = Math.min(charCapacity, 50); // Hard cap safety
+    const font = resolveSubtitleFont(style);
+    const alignment = ASS_ALIGNMENT[style.position] || ASS_ALIGNMENT.bottom_center;
+    const marginH = style.margin_h;
+    const marginV = style.margin_v;
+
+    // Outline around the glyphs, or an opaque box (BorderStyle 3: drawn in OutlineColour, padded by Outline)
+    const boxed = !!style.bg_color;
+    const borderStyle = boxed ? 3 : 1;
+    const outlineColor = boxed ? hexToAss(style.bg_color, style.bg_opacity) : hexToAss(options.stroke_color || '#000000');
+    const outline = boxed ? style.bg_padding : style.stroke_width;
+    const backColor = style.shadow_color ? hexToAss(style.shadow_color) : '&H60000000';
 
-    const fontName = 'Arial'; // Using generic name, assuming fontconfig handles mapping or system font.
-    // Ideally we would inspect the TTF name but that's complex.
+    // Wrapping / auto-shrink inside the safe area, measured with the style font's glyph advances
+    const fit = {
+        measure: createTextMeasurer(font.path),
+        fontSize,
+        minFontSize: style.auto_shrink ? Math.min(fontSize, style.min_font_size || Math.ceil(fontSize * 0.6)) : fontSize,
+        maxWidth: videoWidth - 2 * marginH,
+        maxHeight: videoHeight - 2 * marginV,
+        maxLines: style.max_lines,
+        outline,
+        balance: style.balance_lines,
+    };
 
     // Scale timestamps by speed
     // If speed = 2.0 (faster), duration is halved. Timestamps * 0.5.
@@ -133,43 +580,75 @@ ScriptType: v4.00+
 PlayResX: ${videoWidth}
 PlayResY: ${videoHeight}
 WrapStyle: 1
+ScaledBorderAndShadow: yes
 
 [V4+ Styles]
 Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding
-Style: Default,${fontName},${fontSize},${fontPrimary},&H000000FF,${fontOutline},&H60000000,1,0,0,0,100,100,0,0,1,2,0,2,10,10,50,1
+Style: Default,${font.name},${fontSize},${fontPrimary},&H000000FF,${outlineColor},${backColor},${font.bold},${font.italic},0,0,100,100,0,0,${borderStyle},${outline},${style.shadow},${alignment},${marginH},${marginH},${marginV},1
 
 [Events]
 Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text
 `;
 
-    for (const sub of subtitles) {
-        // Apply wrap
-        let text = wrapText(sub.text, maxChars);
+    for (const sub of chunkCues(subtitles, options.chunk_words)) {
+        // Apply wrap (karaoke wraps between its word tags); shrunk cues get an \\fs override
+        const words = options.animation === 'karaoke' ? cueWords(sub) : null;
+        const layout = fitText([words ? words.map(w => w.text) : sub.text.split(/\s+/).filter(Boolean)], fit);
+        let text;
+        if (words) {
+            const lineStarts = new Set();
+            let idx = 0;
+            for (const line of layout.lines) {
+                lineStarts.add(idx);
+                idx += line.length;
+            }
+            text = karaokeText(sub, words, lineStarts, options, fontPrimary, timeScale);
+        } else {
+            text = layout.lines.map(line => line.join(' ')).join('\\N');
+        }
+        if (layout.fontSize !== fontSize) text = `{\\fs${layout.fontSize}}${text}`;
 
         // Apply Time Scale
         const start = sub.start * timeScale;
         const end = sub.end * timeScale;
 
-        // Animation Logic (adjusted positions based on videoHeight)
-        const centerX = Math.floor(videoWidth / 2);
-        const bottomY = Math.floor(videoHeight - 50); // MarginV=50
-        const startY = Math.floor(videoHeight + 50); // Start below screen
+        // Animation Logic (adjusted positions based on alignment and margins)
+        const anchor = alignmentAnchor(alignment, videoWidth, videoHeight, marginH, marginV);
+        const startY = alignment <= 3 ? videoHeight + 50 : anchor.y + 100; // Bottom rows start below screen
 
         if (options.animation === 'pop') {
             text = `{\\fad(50,50)}{\\fscx0\\fscy0}{\\t(0,150,\\fscx100\\fscy100)}${text}`;
         } else if (options.animation === 'slide_up') {
             // Move from bottom off-screen to final position
-            text = `{\\fad(100,0)}{\\move(${centerX},${startY},${centerX},${bottomY},0,300)}${text}`;
-        } else if (options.animation === 'karaoke') {
-            text = `{\\1c&HFFFF00&}{\\t(0,200,\\1c${fontPrimary.replace('&H00', '&H')})}${text}`;
+            text = `{\\fad(100,0)}{\\move(${anchor.x},${startY},${anchor.x},${anchor.y},0,300)}${text}`;
         } else if (options.animation === 'fade') {
             text = `{\\fad(200,200)}${text}`;
         }
 
+        // WebVTT cue placement (first position tag wins in libass, so it overrides slide_up)
+        text = vttPlacement(sub.settings, videoWidth, videoHeight) + text;
+
         ass += `Dialogue: 0,${formatAssTime(start)},${formatAssTime(end)},Default,,0,0,0,,${text}\n`;
     }
 
     return ass;
 }
 
-module.exports = { parseSrt, generateAss };
+module.exports = {
+    parseSrt,
+    parseVtt,
+    parseAss,
+    parseJsonSubtitles,
+    parseSubtitles,
+    detectSubtitleFormat,
+    normalizeWords,
+    wordsToCues,
+    chunkCues,
+    karaokeText,
+    formatSrt,
+    formatVtt,
+    generateAss,
+    SUBTITLE_FORMATS,
+    STYLE_DEFAULTS,
+    KARAOKE_DEFAULTS,
+};
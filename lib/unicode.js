@@ -0,0 +1,125 @@
+/**
+ * @module unicode
+ * @description Text segmentation for drawtext, which draws a single font per filter: splits text
+ * into runs by font coverage (primary font, then fallbacks), emoji clusters and writing direction,
+ * and orders the runs for display.
+ *
+ * Bidi support is a simplified UBA (strong letters, neutrals resolved from their neighbours, runs
+ * reordered by level). Glyph order and joining inside an RTL run are left to drawtext's HarfBuzz
+ * shaping (FFmpeg 7.1+).
+ */
+
+const { fontCovers } = require('./metrics');
+
+/** Strong right-to-left scripts (Hebrew, Arabic, Syriac, Thaana, NKo, presentation forms, …) */
+const RTL_PATTERN = /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF\u{10800}-\u{10FFF}\u{1E800}-\u{1EFFF}]/u;
+
+/** Strong left-to-right characters (letters and digits of non-RTL scripts) */
+const LTR_PATTERN = /[\p{L}\p{Nd}]/u;
+
+const graphemes = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+/**
+ * Whether a grapheme cluster is displayed as an emoji (emoji presentation, VS16 or a flag).
+ * @param {string} cluster - Grapheme cluster
+ * @returns {boolean}
+ */
+function isEmojiCluster(cluster) {
+    return /\p{Extended_Pictographic}|\p{Regional_Indicator}/u.test(cluster)
+        && /\p{Emoji_Presentation}|\p{Regional_Indicator}|\uFE0F/u.test(cluster);
+}
+
+/**
+ * Strong direction of a grapheme cluster.
+ * @param {string} cluster - Grapheme cluster
+ * @returns {'rtl'|'ltr'|null} null for neutrals (spaces, punctuation, symbols, emoji)
+ */
+function clusterDirection(cluster) {
+    if (RTL_PATTERN.test(cluster)) return 'rtl';
+    if (LTR_PATTERN.test(cluster)) return 'ltr';
+    return null;
+}
+
+/**
+ * First font covering a cluster. Neutrals stay in the current run's font when it has them;
+ * an unreadable primary font is assumed to cover everything; with no coverage, the primary font.
+ * @param {string} cluster - Grapheme cluster
+ * @param {string[]} fonts - Font paths: primary first, then fallbacks
+ * @param {string|null} current - Font of the previous cluster
+ * @param {boolean} neutral - Cluster has no strong direction
+ * @returns {string} Font path
+ */
+function pickFont(cluster, fonts, current, neutral) {
+    if (neutral && current && fontCovers(current, cluster) !== false) return current;
+    if (fontCovers(fonts[0], cluster) !== false) return fonts[0];
+    return fonts.slice(1).find(f => fontCovers(f, cluster)) || fonts[0];
+}
+
+/**
+ * Split text into grapheme clusters (user-perceived characters).
+ * @param {string} text - Text
+ * @returns {string[]}
+ */
+function splitGraphemes(text) {
+    return [...graphemes.segment(text)].map(({ segment }) => segment);
+}
+
+/**
+ * Split text into display runs.
+ * @param {string} text - Text (one line)
+ * @param {string[]} fonts - Font paths: primary first, then fallbacks
+ * @param {Object} [options={}] - { emoji } — emoji font path (emoji clusters become their own runs)
+ * @returns {{ runs: Array<{ text: string, font: string|null, emoji: boolean, rtl: boolean }>, rtl: boolean }}
+ *   runs in visual (left-to-right) order; font is null for emoji runs; rtl = paragraph direction
+ */
+function splitTextRuns(text, fonts, options = {}) {
+    const clusters = splitGraphemes(text).map(segment => ({
+        text: segment,
+        emoji: !!options.emoji && isEmojiCluster(segment),
+        dir: clusterDirection(segment),
+    }));
+
+    // Neutrals take the direction of their neighbours when both agree, else the paragraph's
+    const paragraph = clusters.find(c => c.dir)?.dir || 'ltr';
+    clusters.forEach((c, i) => {
+        if (c.dir) return;
+        const prev = clusters.slice(0, i).reverse().find(n => n.dir)?.dir;
+        const next = clusters.slice(i + 1).find(n => n.dir)?.dir;
+        c.resolved = prev && prev === next ? prev : paragraph;
+    });
+
+    // Logical runs: same font and direction; every emoji on its own
+    const runs = [];
+    let font = null;
+    for (const c of clusters) {
+        const dir = c.dir || c.resolved;
+        if (c.emoji) {
+            runs.push({ text: c.text, font: null, emoji: true, rtl: dir === 'rtl' });
+            continue;
+        }
+        font = pickFont(c.text, fonts, font, !c.dir);
+        const last = runs[runs.length - 1];
+        if (last && !last.emoji && last.font === font && last.rtl === (dir === 'rtl')) {
+            last.text += c.text;
+        } else {
+            runs.push({ text: c.text, font, emoji: false, rtl: dir === 'rtl' });
+        }
+    }
+
+    // Visual order: embedding levels, then reverse from the highest level down (UBA rule L2)
+    const levels = runs.map(r => (paragraph === 'rtl' ? (r.rtl ? 1 : 2) : (r.rtl ? 1 : 0)));
+    const order = runs.map((_, i) => i);
+    for (let level = Math.max(0, ...levels); level >= 1; level--) {
+        for (let i = 0; i < order.length;) {
+            if (levels[order[i]] < level) { i++; continue; }
+            let j = i;
+            while (j < order.length && levels[order[j]] >= level) j++;
+            order.splice(i, j - i, ...order.slice(i, j).reverse());
+            i = j;
+        }
+    }
+
+    return { runs: order.map(i => runs[i]), rtl: paragraph === 'rtl' };
+}
+
+module.exports = { splitTextRuns, splitGraphemes, isEmojiCluster };
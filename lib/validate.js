@@ -0,0 +1,273 @@
+/**
+ * @module validate
+ * @description /render payload validation against EFFECTS_SCHEMA and TIMELINE_SCHEMA.
+ *
+ * Produces field-level errors ({ path, expected, got }) and a normalized copy of the payload.
+ * In clamp mode, out-of-range numbers are clamped and numeric strings coerced instead of
+ * being reported as errors (the adjustments are returned as warnings).
+ */
+
+const { EFFECTS_SCHEMA, TIMELINE_SCHEMA, TEXT_LAYER, BRAND_KIT_SCHEMA } = require('./schema');
+
+/** Brand kit ids (used in URLs and as /render `brand_kit`) */
+const BRAND_KIT_ID = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+/**
+ * Human-readable description of what a schema spec accepts.
+ * @param {Object} spec - Schema param spec
+ * @returns {string}
+ */
+function describeExpected(spec) {
+    if (spec.values) return `one of: ${spec.values.join(', ')}`;
+    if (spec.type === 'number') {
+        const [min, max] = numberBounds(spec);
+        if (min !== -Infinity && max !== Infinity) return `number in [${min}, ${max}]`;
+        if (min !== -Infinity) return `number >= ${min}`;
+        if (max !== Infinity) return `number <= ${max}`;
+    }
+    return spec.type;
+}
+
+/**
+ * @param {Object} spec - Schema param spec
+ * @returns {number[]} [min, max] (open ends are ±Infinity)
+ */
+function numberBounds(spec) {
+    if (spec.range) return spec.range;
+    return [spec.min !== undefined ? spec.min : -Infinity, spec.max !== undefined ? spec.max : Infinity];
+}
+
+/**
+ * Validate a single value. Pushes errors/warnings into ctx and returns the normalized value.
+ * @param {*} value - Value from the payload
+ * @param {Object} spec - Schema param spec
+ * @param {string} path - Dotted path for error reporting
+ * @param {{ errors: Object[], warnings: Object[], clamp: boolean }} ctx
+ * @returns {*} Normalized value
+ */
+function validateValue(value, spec, path, ctx) {
+    // null = "unset", same as omitting the field
+    if (value === null) return value;
+
+    if (spec.type === 'number') {
+        let num = value;
+        if (typeof num === 'string' && ctx.clamp && num.trim() !== '' && isFinite(Number(num))) {
+            num = Number(num);
+            ctx.warnings.push({ path, message: 'coerced string to number', got: value, used: num });
+        }
+        if (typeof num !== 'number' || !isFinite(num)) {
+            ctx.errors.push({ path, expected: describeExpected(spec), got: value });
+            return value;
+        }
+        const [min, max] = numberBounds(spec);
+        if (num < min || num > max) {
+            if (!ctx.clamp) {
+                ctx.errors.push({ path, expected: describeExpected(spec), got: value });
+                return value;
+            }
+            const clamped = Math.max(min, Math.min(max, num));
+            ctx.warnings.push({ path, message: 'clamped to range', got: value, used: clamped });
+            return clamped;
+        }
+        return num;
+    }
+
+    if (spec.type === 'boolean') {
+        if (typeof value !== 'boolean') ctx.errors.push({ path, expected: 'boolean', got: value });
+        return value;
+    }
+
+    if (spec.type === 'effects') return validateEffects(value, ctx, path, spec.groups);
+    if (spec.type === 'object') return validateParams(value, spec.params, path, ctx);
+
+    if (spec.type === 'array') {
+        if (!Array.isArray(value)) {
+            ctx.errors.push({ path, expected: 'array', got: value });
+            return value;
+        }
+        return value.map((item, idx) => validateValue(item, spec.items, `${path}[${idx}]`, ctx));
+    }
+
+    if (spec.type === 'string') {
+        if (typeof value !== 'string') {
+            ctx.errors.push({ path, expected: describeExpected(spec), got: value });
+        } else if (spec.values && !spec.values.includes(value)) {
+            ctx.errors.push({ path, expected: describeExpected(spec), got: value });
+        }
+        return value;
+    }
+
+    return value;
+}
+
+/**
+ * Validate an object against a `params` map (unknown keys and missing required keys are errors).
+ * @param {Object} obj - Object from the payload
+ * @param {Object<string, Object>} params - Schema params
+ * @param {string} path - Dotted path of obj
+ * @param {Object} ctx - Validation context
+ * @returns {Object} Normalized copy
+ */
+function validateParams(obj, params, path, ctx) {
+    if (typeof obj !== 'object' || obj === null || Array.isArray(obj)) {
+        ctx.errors.push({ path, expected: 'object', got: obj });
+        return obj;
+    }
+
+    const out = {};
+    for (const [key, value] of Object.entries(obj)) {
+        const spec = params[key];
+        if (!spec) {
+            ctx.errors.push({ path: `${path}.${key}`, expected: `one of: ${Object.keys(params).join(', ')}`, got: key });
+            continue;
+        }
+        out[key] = validateValue(value, spec, `${path}.${key}`, ctx);
+    }
+
+    for (const [key, spec] of Object.entries(params)) {
+        if (spec.required && (obj[key] === undefined || obj[key] === null)) {
+            ctx.errors.push({ path: `${path}.${key}`, expected: describeExpected(spec), got: obj[key] === null ? null : 'missing' });
+        }
+    }
+    return out;
+}
+
+/**
+ * Validate an `effects` object against EFFECTS_SCHEMA.
+ * @param {Object} effects - effects payload
+ * @param {Object} ctx - Validation context
+ * @param {string} [path='effects'] - Path prefix
+ * @param {string[]} [groups] - Allowed effect groups (default: all of EFFECTS_SCHEMA)
+ * @returns {Object} Normalized copy
+ */
+function validateEffects(effects, ctx, path = 'effects', groups = Object.keys(EFFECTS_SCHEMA)) {
+    if (typeof effects !== 'object' || effects === null || Array.isArray(effects)) {
+        ctx.errors.push({ path, expected: 'object', got: effects });
+        return effects;
+    }
+
+    const out = {};
+    for (const [group, value] of Object.entries(effects)) {
+        const spec = groups.includes(group) && EFFECTS_SCHEMA[group];
+        if (!spec) {
+            ctx.errors.push({ path: `${path}.${group}`, expected: `one of: ${groups.join(', ')}`, got: group });
+            continue;
+        }
+        // Scalar effects (e.g. speed) carry type/range on the group itself
+        out[group] = spec.params
+            ? (value === null ? value : validateParams(value, spec.params, `${path}.${group}`, ctx))
+            : validateValue(value, spec, `${path}.${group}`, ctx);
+    }
+    return out;
+}
+
+/**
+ * Validate a V2 `timeline` array against TIMELINE_SCHEMA.
+ * @param {Object[]} timeline - timeline payload
+ * @param {Object} ctx - Validation context
+ * @returns {Object[]} Normalized copy
+ */
+function validateTimeline(timeline, ctx) {
+    if (!Array.isArray(timeline) || timeline.length === 0) {
+        ctx.errors.push({ path: 'timeline', expected: 'non-empty array', got: timeline });
+        return timeline;
+    }
+
+    return timeline.map((item, idx) => {
+        const path = `timeline[${idx}]`;
+        const type = item && item.type;
+        const spec = TIMELINE_SCHEMA[type];
+        if (!spec) {
+            ctx.errors.push({ path: `${path}.type`, expected: `one of: ${Object.keys(TIMELINE_SCHEMA).join(', ')}`, got: type });
+            return item;
+        }
+
+        const out = validateParams(item, spec.params, path, ctx);
+        if (typeof out.start === 'number' && typeof out.end === 'number' && out.end <= out.start) {
+            ctx.errors.push({ path: `${path}.end`, expected: `number > start (${out.start})`, got: out.end });
+        }
+
+        // Stills and colors need a length: `duration`, or `end` when placed on an overlay track
+        const overlay = (out.track ?? out.layer ?? 0) > 0;
+        if ((type === 'image' || type === 'color') && typeof out.duration !== 'number' && !(overlay && typeof out.end === 'number')) {
+            ctx.errors.push({ path: `${path}.duration`, expected: overlay ? 'number (or `end`)' : 'number', got: out.duration === undefined ? 'missing' : out.duration });
+        }
+        return out;
+    });
+}
+
+/**
+ * Validate a `text_overlay` payload — a string, or an array of TEXT_LAYER objects.
+ * @param {string|Object[]} textOverlay - text_overlay payload
+ * @param {Object} ctx - Validation context
+ * @returns {string|Object[]} Normalized copy
+ */
+function validateTextOverlay(textOverlay, ctx) {
+    if (typeof textOverlay === 'string') return textOverlay;
+    if (!Array.isArray(textOverlay)) {
+        ctx.errors.push({ path: 'text_overlay', expected: 'string or array of text layers', got: textOverlay });
+        return textOverlay;
+    }
+
+    return textOverlay.map((layer, idx) => {
+        const path = `text_overlay[${idx}]`;
+        const out = validateValue(layer, TEXT_LAYER, path, ctx);
+        if (out && typeof out.start === 'number' && typeof out.end === 'number' && out.end <= out.start) {
+            ctx.errors.push({ path: `${path}.end`, expected: `number > start (${out.start})`, got: out.end });
+        }
+        return out;
+    });
+}
+
+/**
+ * V1-only effects that a timeline (V2) render ignores, with what to use instead.
+ * @param {Object} [effects] - effects payload
+ * @param {Object} ctx - Validation context
+ */
+function warnIgnoredV2Effects(effects, ctx) {
+    if (effects?.speed !== undefined && effects.speed !== null) {
+        ctx.warnings.push({ path: 'effects.speed', message: 'ignored with timeline — set effects.speed on the video clips', got: effects.speed, used: null });
+    }
+    if (effects?.audio?.music_url !== undefined && effects.audio.music_url !== null) {
+        ctx.warnings.push({ path: 'effects.audio.music_url', message: 'ignored with timeline — add an audio item with role "music"', got: effects.audio.music_url, used: null });
+    }
+}
+
+/**
+ * Validate a /render payload.
+ * @param {Object} body - Request body
+ * @param {Object} [options={}] - { clamp } — clamp/coerce instead of rejecting out-of-range numbers
+ * @returns {{ valid: boolean, errors: Object[], warnings: Object[], normalized: Object }}
+ */
+function validateRenderPayload(body, options = {}) {
+    const ctx = { errors: [], warnings: [], clamp: !!options.clamp };
+    const normalized = { ...body };
+
+    if (body.timeline !== undefined) normalized.timeline = validateTimeline(body.timeline, ctx);
+    if (body.effects !== undefined && body.effects !== null) normalized.effects = validateEffects(body.effects, ctx);
+    if (body.text_overlay !== undefined && body.text_overlay !== null) normalized.text_overlay = validateTextOverlay(body.text_overlay, ctx);
+    if (body.timeline !== undefined) warnIgnoredV2Effects(body.effects, ctx);
+    if (body.brand_kit !== undefined && body.brand_kit !== null && typeof body.brand_kit !== 'string') {
+        ctx.errors.push({ path: 'brand_kit', expected: 'string (brand kit id)', got: body.brand_kit });
+    }
+
+    return { valid: ctx.errors.length === 0, errors: ctx.errors, warnings: ctx.warnings, normalized };
+}
+
+/**
+ * Validate a brand kit (POST/PUT /brand-kits body).
+ * @param {Object} body - Request body
+ * @param {Object} [options={}] - { clamp } — clamp/coerce instead of rejecting out-of-range numbers
+ * @returns {{ valid: boolean, errors: Object[], warnings: Object[], normalized: Object }}
+ */
+function validateBrandKit(body, options = {}) {
+    const ctx = { errors: [], warnings: [], clamp: !!options.clamp };
+    const { clamp, ...kit } = body || {};
+    const normalized = validateParams(kit, BRAND_KIT_SCHEMA, 'brand_kit', ctx);
+    if (typeof normalized.id === 'string' && !BRAND_KIT_ID.test(normalized.id)) {
+        ctx.errors.push({ path: 'brand_kit.id', expected: `string matching ${BRAND_KIT_ID}`, got: normalized.id });
+    }
+    return { valid: ctx.errors.length === 0, errors: ctx.errors, warnings: ctx.warnings, normalized };
+}
+
+module.exports = { validateRenderPayload, validateEffects, validateTimeline, validateTextOverlay, validateBrandKit, BRAND_KIT_ID };
@@ -0,0 +1,286 @@
+/**
+ * Builds the tiny fonts in test/fixtures used by the font, emoji and text run tests, so they
+ * don't depend on the Noto fonts downloaded at startup:
+ * - emoji.ttf: CBDT/CBLC color emoji with GSUB ligatures for a ZWJ sequence, skin tones and flags
+ * - hebrew.ttf / arabic.ttf: outline-less fonts whose cmap covers the Hebrew / Arabic blocks
+ *
+ * Usage: node scripts/build_test_fonts.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const FIXTURES_DIR = path.join(__dirname, '../test/fixtures');
+
+const UNITS_PER_EM = 2048;
+const EMOJI_PPEM = 16;
+
+const u8 = (v) => Buffer.from([v & 0xff]);
+const u16 = (v) => { const b = Buffer.alloc(2); b.writeUInt16BE(v & 0xffff); return b; };
+const i16 = (v) => { const b = Buffer.alloc(2); b.writeInt16BE(v); return b; };
+const u32 = (v) => { const b = Buffer.alloc(4); b.writeUInt32BE(v >>> 0); return b; };
+const cat = (...parts) => Buffer.concat(parts);
+
+// ---------------------------------------------------------------------------
+// PNG
+// ---------------------------------------------------------------------------
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buf) {
+    let c = 0xffffffff;
+    for (const byte of buf) c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+    return (c ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const body = cat(Buffer.from(type, 'latin1'), data);
+    return cat(u32(data.length), body, u32(crc32(body)));
+}
+
+/**
+ * Solid-color RGBA PNG.
+ * @param {number} size - Width and height in pixels
+ * @param {number[]} rgba - Pixel color
+ * @returns {Buffer}
+ */
+function solidPng(size, rgba) {
+    const row = cat(u8(0), Buffer.from(Array.from({ length: size }, () => rgba).flat()));
+    const pixels = Buffer.concat(Array.from({ length: size }, () => row));
+    return cat(
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        pngChunk('IHDR', cat(u32(size), u32(size), u8(8), u8(6), u8(0), u8(0), u8(0))),
+        pngChunk('IDAT', zlib.deflateSync(pixels)),
+        pngChunk('IEND', Buffer.alloc(0)),
+    );
+}
+
+// ---------------------------------------------------------------------------
+// Tables
+// ---------------------------------------------------------------------------
+
+function headTable() {
+    const head = Buffer.alloc(54);
+    head.writeUInt32BE(0x00010000, 0);
+    head.writeUInt32BE(0x5f0f3cf5, 12);
+    head.writeUInt16BE(UNITS_PER_EM, 18);
+    return head;
+}
+
+function hheaTable(numHMetrics) {
+    const hhea = Buffer.alloc(36);
+    hhea.writeUInt32BE(0x00010000, 0);
+    hhea.writeInt16BE(1900, 4);
+    hhea.writeInt16BE(-500, 6);
+    hhea.writeUInt16BE(numHMetrics, 34);
+    return hhea;
+}
+
+function maxpTable(numGlyphs) {
+    return cat(u32(0x00005000), u16(numGlyphs));
+}
+
+/**
+ * @param {number[]} advances - Advance width per glyph
+ */
+function hmtxTable(advances) {
+    return cat(...advances.map(a => cat(u16(a), i16(0))));
+}
+
+/**
+ * `name` table (format 0) with family names.
+ * @param {Array<{ platform: number, nameId: number, text: string }>} names - platform 1 (Mac Roman) or 3 (Windows)
+ */
+function nameTable(names) {
+    const records = names
+        .map(n => ({
+            ...n,
+            encoding: n.platform === 3 ? 1 : 0,
+            language: n.platform === 3 ? 0x0409 : 0,
+            data: n.platform === 3 ? Buffer.from(n.text, 'utf16le').swap16() : Buffer.from(n.text, 'latin1'),
+        }))
+        .sort((a, b) => a.platform - b.platform || a.nameId - b.nameId);
+    let offset = 0;
+    const entries = records.map(r => {
+        const entry = cat(u16(r.platform), u16(r.encoding), u16(r.language), u16(r.nameId), u16(r.data.length), u16(offset));
+        offset += r.data.length;
+        return entry;
+    });
+    return cat(u16(0), u16(records.length), u16(6 + records.length * 12), ...entries, ...records.map(r => r.data));
+}
+
+/**
+ * cmap with a single Windows subtable.
+ * @param {number[]} codepoints - Sorted code points, mapped to glyphs 1..n
+ * @param {number} format - 4 (BMP segments) or 12 (full Unicode groups)
+ */
+function cmapTable(codepoints, format) {
+    // Consecutive code points with consecutive glyphs form one segment/group
+    const ranges = [];
+    codepoints.forEach((cp, idx) => {
+        const last = ranges[ranges.length - 1];
+        if (last && cp === last.end + 1) last.end = cp;
+        else ranges.push({ start: cp, end: cp, glyph: idx + 1 });
+    });
+
+    let subtable;
+    if (format === 12) {
+        subtable = cat(u16(12), u16(0), u32(16 + ranges.length * 12), u32(0), u32(ranges.length),
+            ...ranges.map(r => cat(u32(r.start), u32(r.end), u32(r.glyph))));
+    } else {
+        const segments = [...ranges.map(r => ({ ...r, delta: r.glyph - r.start })), { start: 0xffff, end: 0xffff, delta: 1 }];
+        const segX2 = segments.length * 2;
+        const searchRange = 2 * 2 ** Math.floor(Math.log2(segments.length));
+        const body = cat(
+            u16(segX2), u16(searchRange), u16(Math.log2(searchRange / 2)), u16(segX2 - searchRange),
+            ...segments.map(s => u16(s.end)), u16(0),
+            ...segments.map(s => u16(s.start)),
+            ...segments.map(s => u16(s.delta)),
+            ...segments.map(() => u16(0)),
+        );
+        subtable = cat(u16(4), u16(6 + body.length), u16(0), body);
+    }
+    return cat(u16(0), u16(1), u16(3), u16(format === 12 ? 10 : 1), u32(12), subtable);
+}
+
+/**
+ * CBLC + CBDT with one strike: a format 17 (small metrics + PNG) image per glyph from 1 on.
+ * @param {Array<Buffer|null>} pngs - Image of glyph 1..n (null = no image)
+ */
+function colorBitmapTables(pngs) {
+    const records = pngs.map(png => (png
+        ? cat(u8(EMOJI_PPEM), u8(EMOJI_PPEM), u8(0), u8(EMOJI_PPEM - 2), u8(EMOJI_PPEM), u32(png.length), png)
+        : Buffer.alloc(0)));
+    const cbdt = cat(u16(3), u16(0), ...records);
+
+    const offsets = [0];
+    for (const rec of records) offsets.push(offsets[offsets.length - 1] + rec.length);
+    const subtable = cat(u16(1), u16(17), u32(4), ...offsets.map(u32));
+    const subtableArray = cat(u16(1), u16(pngs.length), u32(8));
+
+    const size = Buffer.alloc(48);
+    size.writeUInt32BE(8 + 48, 0);
+    size.writeUInt32BE(subtableArray.length + subtable.length, 4);
+    size.writeUInt32BE(1, 8);
+    size.writeUInt16BE(1, 40);
+    size.writeUInt16BE(pngs.length, 42);
+    size[44] = EMOJI_PPEM;
+    size[45] = EMOJI_PPEM;
+    size[46] = 32;
+    size[47] = 1;
+    const cblc = cat(u16(3), u16(0), u32(1), size, subtableArray, subtable);
+    return { CBDT: cbdt, CBLC: cblc };
+}
+
+/**
+ * GSUB with one ligature substitution, wrapped in an extension lookup like Noto Color Emoji.
+ * @param {Array<{ glyphs: number[], ligature: number }>} ligatures - Component glyphs → ligature glyph
+ */
+function gsubTable(ligatures) {
+    const firsts = [...new Set(ligatures.map(l => l.glyphs[0]))].sort((a, b) => a - b);
+    const sets = firsts.map(first => {
+        const ligs = ligatures
+            .filter(l => l.glyphs[0] === first)
+            .map(l => cat(u16(l.ligature), u16(l.glyphs.length), ...l.glyphs.slice(1).map(u16)));
+        let offset = 2 + ligs.length * 2;
+        const offsets = ligs.map(lig => { const o = offset; offset += lig.length; return u16(o); });
+        return cat(u16(ligs.length), ...offsets, ...ligs);
+    });
+
+    const coverage = cat(u16(1), u16(firsts.length), ...firsts.map(u16));
+    const headerLength = 6 + sets.length * 2;
+    let offset = headerLength + coverage.length;
+    const setOffsets = sets.map(set => { const o = offset; offset += set.length; return u16(o); });
+    const ligatureSubst = cat(u16(1), u16(headerLength), u16(sets.length), ...setOffsets, coverage, ...sets);
+
+    const extension = cat(u16(1), u16(4), u32(8), ligatureSubst);
+    const lookup = cat(u16(7), u16(0), u16(1), u16(8), extension);
+    const lookupList = cat(u16(1), u16(4), lookup);
+    // Empty ScriptList and FeatureList: features aren't used to pick emoji ligatures
+    return cat(u16(1), u16(0), u16(10), u16(12), u16(14), u16(0), u16(0), lookupList);
+}
+
+/**
+ * Assemble an sfnt file.
+ * @param {Object<string, Buffer>} tables - Tag → table data
+ * @returns {Buffer}
+ */
+function sfnt(tables) {
+    const tags = Object.keys(tables).sort();
+    let offset = 12 + tags.length * 16;
+    const records = [];
+    const bodies = [];
+    for (const tag of tags) {
+        const data = tables[tag];
+        const padded = cat(data, Buffer.alloc((4 - (data.length % 4)) % 4));
+        records.push(cat(Buffer.from(tag, 'latin1'), u32(0), u32(offset), u32(data.length)));
+        bodies.push(padded);
+        offset += padded.length;
+    }
+    const searchRange = 16 * 2 ** Math.floor(Math.log2(tags.length));
+    return cat(u32(0x00010000), u16(tags.length), u16(searchRange), u16(Math.log2(searchRange / 16)),
+        u16(tags.length * 16 - searchRange), ...records, ...bodies);
+}
+
+// ---------------------------------------------------------------------------
+// Fixtures
+// ---------------------------------------------------------------------------
+
+/** Text font covering a Unicode block (every glyph has the same advance) */
+function blockFont(first, last, names) {
+    const codepoints = Array.from({ length: last - first + 1 }, (_, i) => first + i);
+    const numGlyphs = codepoints.length + 1;
+    return sfnt({
+        cmap: cmapTable(codepoints, 4),
+        head: headTable(),
+        hhea: hheaTable(1),
+        hmtx: hmtxTable([1200]),
+        maxp: maxpTable(numGlyphs),
+        name: nameTable(names),
+    });
+}
+
+function emojiFont() {
+    // Code points mapped to glyphs 1..n (sorted); ZWJ and tone modifiers have glyphs but the
+    // modifiers also have images of their own, like in Noto Color Emoji
+    const codepoints = [0x200d, 0x1f1e9, 0x1f1ee, 0x1f1ef, 0x1f1f5, 0x1f3fd, 0x1f3ff, 0x1f44d, 0x1f469, 0x1f4bb, 0x1f600];
+    const glyph = (ch) => codepoints.indexOf(ch.codePointAt(0)) + 1;
+    const sequences = ['👩‍💻', '👍🏽', '👍🏿', '🇮🇩', '🇯🇵'];
+    const ligatures = sequences.map((seq, idx) => ({ glyphs: [...seq].map(glyph), ligature: codepoints.length + 1 + idx }));
+
+    const numGlyphs = codepoints.length + sequences.length + 1;
+    const pngs = Array.from({ length: numGlyphs - 1 }, (_, idx) => (codepoints[idx] === 0x200d
+        ? null
+        : solidPng(EMOJI_PPEM, [(idx * 53) & 0xff, (idx * 97) & 0xff, (idx * 151) & 0xff, 0xff])));
+
+    return sfnt({
+        ...colorBitmapTables(pngs),
+        GSUB: gsubTable(ligatures),
+        cmap: cmapTable(codepoints, 12),
+        head: headTable(),
+        hhea: hheaTable(1),
+        hmtx: hmtxTable([2550]),
+        maxp: maxpTable(numGlyphs),
+        name: nameTable([{ platform: 3, nameId: 1, text: 'Fixture Color Emoji' }]),
+    });
+}
+
+const FIXTURES = {
+    'emoji.ttf': emojiFont(),
+    'hebrew.ttf': blockFont(0x0590, 0x05ff, [
+        { platform: 3, nameId: 1, text: 'Fixture Hebrew Light' },
+        { platform: 3, nameId: 16, text: 'Fixture Hebrew' },
+    ]),
+    'arabic.ttf': blockFont(0x0600, 0x06ff, [{ platform: 1, nameId: 1, text: 'Fixture Arabic' }]),
+};
+
+fs.mkdirSync(FIXTURES_DIR, { recursive: true });
+for (const [file, data] of Object.entries(FIXTURES)) {
+    fs.writeFileSync(path.join(FIXTURES_DIR, file), data);
+    console.log(`${file}: ${data.length} bytes`);
+}
@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { resolveTiming, revealSchedule, revealWindows } = require('../lib/filters/animation');
+
+const TYPEWRITER = resolveTiming({ animation: 'typewriter', exit_animation: 'typewriter_out', animation_duration: 1 }, { start: 2, end: 6 });
+
+test('typewriter reveals one step per grapheme, then hides them again', () => {
+    assert.deepEqual(revealSchedule(TYPEWRITER, 4).map(s => [s.from, s.to, s.count]), [
+        [2, 2.25, 1], [2.25, 2.5, 2], [2.5, 2.75, 3], [2.75, 5, 4],
+        [5, 5.25, 3], [5.25, 5.5, 2], [5.5, 5.75, 1], [5.75, 6, 0],
+    ]);
+});
+
+test('long layers are revealed in at most 60 steps', () => {
+    const schedule = revealSchedule(resolveTiming({ animation: 'typewriter' }, { start: 0 }), 200);
+    assert.equal(schedule.length, 60);
+    assert.equal(schedule[0].count, 3);
+    assert.deepEqual([schedule.at(-1).count, schedule.at(-1).to], [200, null]);
+});
+
+test('other animations show the whole layer for the whole window', () => {
+    assert.deepEqual(revealSchedule(resolveTiming({ animation: 'fade' }, { start: 1, end: 3 }), 5), [{ from: 1, to: 3, count: 5 }]);
+});
+
+test('run windows merge adjacent spans with the same visible prefix', () => {
+    const schedule = revealSchedule(TYPEWRITER, 4);
+    assert.deepEqual(revealWindows(schedule, 2, 2), [
+        { count: 1, enable: '(gte(t,2.5)*lt(t,2.75)+gte(t,5)*lt(t,5.25))' },
+        { count: 2, enable: 'gte(t,2.75)*lt(t,5)' },
+    ]);
+});
+
+test('whole runs are shown only while fully revealed', () => {
+    assert.deepEqual(revealWindows(revealSchedule(TYPEWRITER, 4), 2, 2, true), [{ count: 2, enable: 'gte(t,2.75)*lt(t,5)' }]);
+});
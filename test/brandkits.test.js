@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { applyBrandKit, slugify, createBrandKitStore } = require('../lib/brandkits');
+const { createMemoryBackend } = require('../lib/jobstore');
+
+const KIT = {
+    name: 'Acme',
+    fonts: { heading: 'anton', body: 'inter_regular' },
+    palette: { text: '#FFFFFF', accent: '#FF0055' },
+    text: { font_color: '#EEEEEE', font_size: 64 },
+    subtitles: { font_size: 48 },
+    logo: { url: 'https://example.com/logo.png', position: 'top_right' },
+    color_preset: 'warm',
+};
+
+test('kit groups win over fonts and palette defaults', () => {
+    const effects = applyBrandKit({}, KIT);
+    assert.deepEqual(effects.text, { font_family: 'anton', font_color: '#EEEEEE', font_size: 64 });
+    assert.deepEqual(effects.subtitles, { font_family: 'inter_regular', font_color: '#FFFFFF', highlight_color: '#FF0055', font_size: 48 });
+    assert.deepEqual(effects.watermark, KIT.logo);
+    assert.deepEqual(effects.color, { preset: 'warm' });
+});
+
+test('request values win over the kit, except nulls', () => {
+    const effects = applyBrandKit({ text: { font_size: 32, font_color: null }, watermark: { position: 'center' } }, KIT);
+    assert.deepEqual(effects.text, { font_family: 'anton', font_color: '#EEEEEE', font_size: 32 });
+    assert.deepEqual(effects.watermark, { url: 'https://example.com/logo.png', position: 'center' });
+});
+
+test('the color preset applies only without request color settings', () => {
+    assert.deepEqual(applyBrandKit({ color: { brightness: 0.1 } }, KIT).color, { brightness: 0.1 });
+    assert.deepEqual(applyBrandKit({ color: { brightness: null } }, KIT).color, { preset: 'warm' });
+});
+
+test('other effects pass through and the request is not modified', () => {
+    const request = { fade: { in: 1 }, text: { font_size: 32 } };
+    const effects = applyBrandKit(request, { name: 'Bare' });
+    assert.deepEqual(effects, request);
+    assert.deepEqual(applyBrandKit(request, KIT).fade, { in: 1 });
+    assert.deepEqual(request.text, { font_size: 32 });
+});
+
+test('kit ids are slugs of their names', () => {
+    assert.equal(slugify('  Acme Shop! '), 'acme-shop');
+    assert.equal(slugify('Café Crème'), 'cafe-creme');
+});
+
+test('replacing a kit keeps its creation time', (t) => {
+    const store = createBrandKitStore(createMemoryBackend());
+    t.mock.method(Date.prototype, 'toISOString', () => '2024-01-01T00:00:00.000Z');
+    store.put('acme', KIT);
+    t.mock.restoreAll();
+    const record = store.put('acme', { ...KIT, color_preset: 'cool' });
+    assert.equal(record.created_at, '2024-01-01T00:00:00.000Z');
+    assert.notEqual(record.updated_at, record.created_at);
+    assert.deepEqual(store.list().map(k => [k.id, k.color_preset]), [['acme', 'cool']]);
+    assert.equal(store.remove('acme'), true);
+    assert.equal(store.size, 0);
+});
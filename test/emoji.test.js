@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { getEmojiImage } = require('../lib/emoji');
+const { getFontPath } = require('../lib/fonts');
+
+// Tiny CBDT font with the ligatures below (scripts/build_test_fonts.js)
+const EMOJI = path.join(__dirname, 'fixtures/emoji.ttf');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/** Image of a cluster, asserting it is a PNG with a size */
+function image(cluster) {
+    const img = getEmojiImage(EMOJI, cluster);
+    assert.ok(img, `no image for ${cluster}`);
+    assert.deepEqual(img.png.subarray(0, 8), PNG_SIGNATURE);
+    assert.ok(img.width > 0 && img.height > 0);
+    assert.ok(img.advance > 0 && img.ascent > 0);
+    return img;
+}
+
+test('single code point emoji', () => {
+    image('😀');
+});
+
+test('ZWJ sequence resolves to its ligature, not its first emoji', () => {
+    assert.notDeepEqual(image('👩‍💻').png, image('👩').png);
+});
+
+test('skin tone modifier selects the toned glyph', () => {
+    assert.notDeepEqual(image('👍🏽').png, image('👍').png);
+    assert.notDeepEqual(image('👍🏽').png, image('👍🏿').png);
+});
+
+test('regional indicator pairs resolve to flags', () => {
+    assert.notDeepEqual(image('🇮🇩').png, image('🇯🇵').png);
+});
+
+test('clusters without a color glyph have no image', () => {
+    assert.equal(getEmojiImage(EMOJI, 'a'), null);
+});
+
+test('fonts without color bitmaps have no images', () => {
+    assert.equal(getEmojiImage(getFontPath('inter_regular'), '😀'), null);
+    assert.equal(getEmojiImage(getFontPath('missing_font'), '😀'), null);
+});
@@ -0,0 +1,31 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { getFontFamilyName, getFontPath } = require('../lib/fonts');
+
+const fixture = (file) => path.join(__dirname, 'fixtures', file);
+
+test('static fonts resolve to their family name', () => {
+    assert.equal(getFontFamilyName(getFontPath('bebasneuue')), 'Bebas Neue');
+    assert.equal(getFontFamilyName(getFontPath('playfair_italic')), 'Playfair Display');
+});
+
+test('variable fonts resolve to the typographic family, not a named instance', () => {
+    assert.equal(getFontFamilyName(getFontPath('inter_regular')), 'Inter');
+    assert.equal(getFontFamilyName(getFontPath('montserrat_bold')), 'Montserrat');
+});
+
+test('unreadable fonts have no family name', () => {
+    assert.equal(getFontFamilyName(getFontPath('missing_font')), null);
+    assert.equal(getFontFamilyName(__filename), null);
+});
+
+test('Windows typographic family wins over the legacy one', () => {
+    assert.equal(getFontFamilyName(fixture('hebrew.ttf')), 'Fixture Hebrew');
+    assert.equal(getFontFamilyName(fixture('emoji.ttf')), 'Fixture Color Emoji');
+});
+
+test('Mac Roman names are read when there are no Windows ones', () => {
+    assert.equal(getFontFamilyName(fixture('arabic.ttf')), 'Fixture Arabic');
+});
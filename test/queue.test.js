@@ -0,0 +1,126 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createRenderQueue, resolvePriority } = require('../lib/queue');
+
+/** Let queued promise callbacks (worker completion, pump) run */
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Queue whose jobs run until finished by hand, on a clock moved by hand.
+ * @returns {{ queue: Object, finish: Function, advance: Function, started: string[] }}
+ */
+function manualQueue(t, options = {}) {
+    let now = Date.parse('2024-01-01T00:00:00Z');
+    t.mock.method(Date, 'now', () => now);
+
+    const pending = new Map();
+    const started = [];
+    const queue = createRenderQueue({
+        concurrency: 1,
+        ...options,
+        worker: (jobId, data, signal) => new Promise((resolve, reject) => {
+            started.push(jobId);
+            pending.set(jobId, { resolve, reject });
+            if (signal.aborted) resolve(false);
+            signal.addEventListener('abort', () => resolve(false));
+        }),
+    });
+
+    return {
+        queue,
+        started,
+        advance: (sec) => { now += sec * 1000; },
+        finish: async (jobId, result = true) => {
+            await settle();
+            if (result instanceof Error) pending.get(jobId).reject(result);
+            else pending.get(jobId).resolve(result);
+            await settle();
+        },
+    };
+}
+
+test('priorities accept names and numbers', () => {
+    assert.equal(resolvePriority('high'), 10);
+    assert.equal(resolvePriority('low'), -10);
+    assert.equal(resolvePriority(5), 5);
+    assert.equal(resolvePriority('urgent'), 0);
+    assert.equal(resolvePriority(undefined), 0);
+});
+
+test('waiting jobs are ordered by priority, then submission', (t) => {
+    const { queue } = manualQueue(t);
+    queue.enqueue('a', {});
+    queue.enqueue('b', {}, { priority: 'low' });
+    queue.enqueue('c', {}, { priority: 'high' });
+    queue.enqueue('d', {});
+    assert.deepEqual(queue.snapshot().waiting.map(w => [w.job_id, w.queue_position]), [['c', 1], ['d', 2], ['b', 3]]);
+    assert.deepEqual(queue.getPosition('a'), { queue_position: 0, eta_sec: 0 });
+});
+
+test('enqueueing a waiting or running job again does not add it twice', async (t) => {
+    const { queue, started, finish } = manualQueue(t);
+    queue.enqueue('a', {});
+    queue.enqueue('b', {});
+    assert.deepEqual(queue.enqueue('a', {}), { queue_position: 0, eta_sec: 0 });
+    assert.deepEqual(queue.enqueue('b', {}), queue.getPosition('b'));
+    assert.equal(queue.waitingCount, 1);
+
+    await finish('a');
+    await finish('b');
+    assert.deepEqual(started, ['a', 'b']);
+});
+
+test('a full queue rejects new jobs', (t) => {
+    const { queue } = manualQueue(t, { maxSize: 1 });
+    queue.enqueue('a', {});
+    assert.ok(queue.enqueue('b', {}));
+    assert.equal(queue.enqueue('c', {}), null);
+});
+
+test('ETA assigns waiting jobs to the first free worker', (t) => {
+    const { queue, advance } = manualQueue(t, { concurrency: 2 });
+    queue.enqueue('a', {});
+    advance(30);
+    queue.enqueue('b', {});
+    queue.enqueue('c', {});
+    queue.enqueue('d', {});
+    queue.enqueue('e', {});
+
+    // 60s default duration: a frees its worker in 30s, b in 60s
+    assert.deepEqual(queue.getPosition('c'), { queue_position: 1, eta_sec: 90 });
+    assert.deepEqual(queue.getPosition('d'), { queue_position: 2, eta_sec: 120 });
+    assert.deepEqual(queue.getPosition('e'), { queue_position: 3, eta_sec: 150 });
+});
+
+test('ETA averages only jobs that completed', async (t) => {
+    const { queue, advance, finish } = manualQueue(t);
+    for (const id of ['ok', 'failed', 'threw', 'cancelled', 'next']) queue.enqueue(id, {});
+
+    advance(20);
+    await finish('ok');
+    assert.equal(queue.snapshot().avg_job_sec, 20);
+
+    advance(5);
+    await finish('failed', false);
+    advance(5);
+    await finish('threw', new Error('boom'));
+    advance(5);
+    assert.equal(queue.cancel('cancelled'), 'running');
+    await settle();
+
+    assert.equal(queue.snapshot().avg_job_sec, 20);
+    assert.deepEqual(queue.getPosition('next'), { queue_position: 0, eta_sec: 0 });
+});
+
+test('cancel drops waiting jobs and aborts running ones', async (t) => {
+    const { queue, started } = manualQueue(t);
+    queue.enqueue('a', {});
+    queue.enqueue('b', {});
+    assert.equal(queue.cancel('b'), 'waiting');
+    assert.equal(queue.cancel('a'), 'running');
+    assert.equal(queue.cancel('missing'), null);
+    await settle();
+    assert.equal(queue.has('a'), false);
+    assert.deepEqual(started, ['a']);
+});
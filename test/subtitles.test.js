@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseVtt, parseAss, parseJsonSubtitles, detectSubtitleFormat, wordsToCues, chunkCues, karaokeText } = require('../lib/subtitles');
+
+const ASS_EVENTS = '[Events]\nFormat: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text\n';
+
+test('WebVTT skips NOTE blocks and ids, strips markup and keeps placement settings', () => {
+    const vtt = 'WEBVTT\n\nNOTE a comment\n\n1\n00:00:01.000 --> 00:00:03.000 align:start line:10% size:50%\n<v Bob>Hello &amp; <b>world</b>\n';
+    assert.deepEqual(parseVtt(vtt), [{ start: 1, end: 3, text: 'Hello & world', settings: { align: 'start', line: '10%' } }]);
+});
+
+test('WebVTT inline timestamps become word timing', () => {
+    const vtt = 'WEBVTT\n\n00:03.000 --> 00:05.000\nOne <00:00:04.000>two\n';
+    assert.deepEqual(parseVtt(vtt), [{ start: 3, end: 5, text: 'One two', words: [{ text: 'One', start: 3, end: 4 }, { text: 'two', start: 4, end: 5 }] }]);
+});
+
+test('WebVTT cues that do not end after they start are dropped', () => {
+    assert.deepEqual(parseVtt('WEBVTT\n\n00:00:02.000 --> 00:00:01.000\nBackwards\n'), []);
+});
+
+test('ASS dialogue is sorted, with override tags and line breaks removed', () => {
+    const ass = `${ASS_EVENTS}Dialogue: 0,0:00:02.00,0:00:03.50,Default,,0,0,0,,{\\b1}Hi, there\\Nyou\nDialogue: 0,0:00:00.50,0:00:01.00,Default,,0,0,0,,First\n`;
+    assert.deepEqual(parseAss(ass), [{ start: 0.5, end: 1, text: 'First' }, { start: 2, end: 3.5, text: 'Hi, there you' }]);
+});
+
+test('ASS follows a custom Format line', () => {
+    const ass = '[Events]\nFormat: Start, End, Text\nDialogue: 0:00:01.00,0:00:02.00,Short\n';
+    assert.deepEqual(parseAss(ass), [{ start: 1, end: 2, text: 'Short' }]);
+});
+
+test('JSON cues keep their words and fill missing times from them', () => {
+    const json = JSON.stringify([{ text: 'Hi there', words: [{ word: 'Hi', start: 1, end: 1.4 }, { punctuated_word: 'there.', start: 1.5, end: 2 }] }, { start: 3, end: 4, text: 'Plain' }]);
+    assert.deepEqual(parseJsonSubtitles(json), [
+        { start: 1, end: 2, text: 'Hi there', words: [{ text: 'Hi', start: 1, end: 1.4 }, { text: 'there.', start: 1.5, end: 2 }] },
+        { start: 3, end: 4, text: 'Plain' },
+    ]);
+    assert.deepEqual(parseJsonSubtitles(JSON.stringify({ segments: [{ start: 0, end: 1, text: 'Seg' }] })), [{ start: 0, end: 1, text: 'Seg' }]);
+});
+
+test('JSON word-only transcripts are grouped into cues at pauses', () => {
+    const words = [{ word: 'a', start: 0, end: 0.5 }, { word: 'b', start: 0.5, end: 1 }, { word: 'c', start: 3, end: 3.5 }];
+    assert.deepEqual(parseJsonSubtitles(JSON.stringify({ words })).map(c => [c.start, c.end, c.text]), [[0, 1, 'a b'], [3, 3.5, 'c']]);
+});
+
+test('invalid JSON subtitles throw', () => {
+    assert.throws(() => parseJsonSubtitles('{'), /^Error: Invalid subtitle JSON/);
+});
+
+test('formats are detected from content', () => {
+    assert.equal(detectSubtitleFormat('WEBVTT\n\n'), 'vtt');
+    assert.equal(detectSubtitleFormat(`[Script Info]\n${ASS_EVENTS}`), 'ass');
+    assert.equal(detectSubtitleFormat('[{"start":0}]'), 'json');
+    assert.equal(detectSubtitleFormat('1\n00:00:01,000 --> 00:00:02,000\nHi\n'), 'srt');
+});
+
+test('word cues split at the word limit and at pauses, holding until the next cue', () => {
+    const words = [{ text: 'a', start: 0, end: 0.5 }, { text: 'b', start: 0.6, end: 1 }, { text: 'c', start: 1.2, end: 1.5 }, { text: 'd', start: 3, end: 3.5 }];
+    assert.deepEqual(wordsToCues(words, 2).map(c => [c.start, c.end, c.text]), [[0, 1.2, 'a b'], [1.2, 1.5, 'c'], [3, 3.5, 'd']]);
+    assert.equal(wordsToCues(words, 2, 5).at(-1).end, 5);
+});
+
+test('chunking estimates word timing by length and keeps cue settings', () => {
+    const chunks = chunkCues([{ start: 0, end: 3, text: 'ab cdef', settings: { align: 'start' } }], 1);
+    assert.deepEqual(chunks.map(c => [c.start, c.end, c.text, c.settings.align]), [[0, 1, 'ab', 'start'], [1, 3, 'cdef', 'start']]);
+    const cues = [{ start: 0, end: 1, text: 'whole cue' }];
+    assert.equal(chunkCues(cues, 0), cues);
+});
+
+test('karaoke text times each word, with silent gaps, line breaks and a scale bump', () => {
+    const words = [{ text: 'Hi', start: 0.2, end: 0.5 }, { text: 'you', start: 0.5, end: 1 }];
+    assert.equal(karaokeText({ start: 0 }, words, new Set([1]), {}, '&H00FFFFFF', 1),
+        '{\\1c&H00FFFF&\\2c&HFFFFFF&}{\\k20}'
+        + '{\\kf30\\fscx100\\fscy100\\t(200,280,\\fscx110\\fscy110)\\t(500,580,\\fscx100\\fscy100)}Hi\\N'
+        + '{\\kf50\\fscx100\\fscy100\\t(500,580,\\fscx110\\fscy110)\\t(1000,1080,\\fscx100\\fscy100)}you');
+});
+
+test('karaoke without fill or scale uses plain \\k tags on the output time scale', () => {
+    const options = { karaoke_fill: false, highlight_scale: 100, highlight_color: '#FF0000' };
+    assert.equal(karaokeText({ start: 0 }, [{ text: 'Hi', start: 0, end: 0.5 }], new Set(), options, '&H00FFFFFF', 0.5), '{\\1c&H0000FF&\\2c&HFFFFFF&}{\\k25}Hi');
+});
@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { splitTextRuns, splitGraphemes, isEmojiCluster } = require('../lib/unicode');
+const { getFontPath } = require('../lib/fonts');
+
+const INTER = getFontPath('inter_regular');
+const fixture = (file) => path.join(__dirname, 'fixtures', file);
+
+/** Runs as [text, rtl] pairs in visual order */
+const visual = (text, fonts = [INTER]) => splitTextRuns(text, fonts).runs.map(r => [r.text, r.rtl]);
+
+test('ZWJ sequences, skin tones and flags are single clusters', () => {
+    const clusters = splitGraphemes('👩‍💻👍🏽🇮🇩a');
+    assert.deepEqual(clusters, ['👩‍💻', '👍🏽', '🇮🇩', 'a']);
+    assert.deepEqual(clusters.map(isEmojiCluster), [true, true, true, false]);
+});
+
+test('text-presentation symbols are emoji only with VS16', () => {
+    assert.equal(isEmojiCluster('❤'), false);
+    assert.equal(isEmojiCluster('❤️'), true);
+    assert.equal(isEmojiCluster('#'), false);
+});
+
+test('LTR line keeps an embedded RTL word in place', () => {
+    assert.deepEqual(visual('abc שלום def'), [['abc ', false], ['שלום', true], [' def', false]]);
+    assert.equal(splitTextRuns('abc שלום def', [INTER]).rtl, false);
+});
+
+test('RTL line reverses its runs and keeps LTR words readable', () => {
+    assert.deepEqual(visual('שלום abc עולם'), [[' עולם', true], ['abc', false], ['שלום ', true]]);
+    assert.equal(splitTextRuns('שלום abc עולם', [INTER]).rtl, true);
+});
+
+test('digits in an RTL line are placed left of the RTL text', () => {
+    assert.deepEqual(visual('مرحبا 123'), [['123', false], ['مرحبا ', true]]);
+});
+
+test('emoji clusters become their own runs when an emoji font is given', () => {
+    const { runs } = splitTextRuns('hi 👍🏽!', [INTER], { emoji: fixture('emoji.ttf') });
+    assert.deepEqual(runs.map(r => [r.text, r.emoji, r.font]), [['hi ', false, INTER], ['👍🏽', true, null], ['!', false, INTER]]);
+    assert.equal(splitTextRuns('hi 👍🏽!', [INTER]).runs.length, 1);
+});
+
+test('scripts the primary font lacks fall back to the first font covering them', () => {
+    const fonts = [INTER, fixture('hebrew.ttf'), fixture('arabic.ttf')];
+    const { runs } = splitTextRuns('Hi مرحبا', fonts);
+    assert.deepEqual(runs.map(r => [r.text, path.basename(r.font)]), [['Hi ', 'inter_regular.ttf'], ['مرحبا', 'arabic.ttf']]);
+});
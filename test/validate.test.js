@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateRenderPayload } = require('../lib/validate');
+
+const VIDEO = { type: 'video', source_url: 'https://example.com/a.mp4', start: 0, end: 5 };
+
+test('valid payloads pass unchanged', () => {
+    const body = { video_url: 'https://example.com/a.mp4', effects: { color: { brightness: 0.2 }, fade: { in: 1 } } };
+    const result = validateRenderPayload(body);
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(result.normalized, body);
+});
+
+test('out-of-range numbers and numeric strings are errors in strict mode', () => {
+    const { valid, errors } = validateRenderPayload({ effects: { color: { contrast: 9, brightness: '0.5' } } });
+    assert.equal(valid, false);
+    assert.deepEqual(errors, [
+        { path: 'effects.color.contrast', expected: 'number in [0, 3]', got: 9 },
+        { path: 'effects.color.brightness', expected: 'number in [-1, 1]', got: '0.5' },
+    ]);
+});
+
+test('clamp mode clamps and coerces, reporting warnings', () => {
+    const { valid, warnings, normalized } = validateRenderPayload({ effects: { color: { contrast: 9, brightness: '0.5' } } }, { clamp: true });
+    assert.equal(valid, true);
+    assert.deepEqual(normalized.effects.color, { contrast: 3, brightness: 0.5 });
+    assert.deepEqual(warnings, [
+        { path: 'effects.color.contrast', message: 'clamped to range', got: 9, used: 3 },
+        { path: 'effects.color.brightness', message: 'coerced string to number', got: '0.5', used: 0.5 },
+    ]);
+});
+
+test('clamp mode still rejects values that are not numbers', () => {
+    const { valid, errors } = validateRenderPayload({ effects: { color: { contrast: 'high' } } }, { clamp: true });
+    assert.equal(valid, false);
+    assert.equal(errors[0].path, 'effects.color.contrast');
+});
+
+test('unknown effect groups and keys list the accepted ones', () => {
+    const { errors } = validateRenderPayload({ effects: { blur: {}, color: { hue: 1 } } });
+    assert.deepEqual(errors.map(e => e.path), ['effects.blur', 'effects.color.hue']);
+    assert.match(errors[0].expected, /^one of: color, zoom, /);
+    assert.match(errors[1].expected, /^one of: .*brightness/);
+});
+
+test('enum values are checked', () => {
+    const { errors } = validateRenderPayload({ effects: { zoom: { type: 'spin' } } });
+    assert.deepEqual(errors, [{ path: 'effects.zoom.type', expected: 'one of: in, out, pan_left, pan_right', got: 'spin' }]);
+});
+
+test('timeline items must end after they start', () => {
+    const { errors } = validateRenderPayload({ timeline: [{ ...VIDEO, start: 2, end: 1 }] });
+    assert.deepEqual(errors, [{ path: 'timeline[0].end', expected: 'number > start (2)', got: 1 }]);
+});
+
+test('timeline images and colors need a duration, or an end on an overlay track', () => {
+    const image = { type: 'image', source_url: 'https://example.com/a.png' };
+    assert.deepEqual(validateRenderPayload({ timeline: [image] }).errors, [{ path: 'timeline[0].duration', expected: 'number', got: 'missing' }]);
+    assert.equal(validateRenderPayload({ timeline: [{ ...image, duration: 3 }] }).valid, true);
+    assert.equal(validateRenderPayload({ timeline: [{ ...image, track: 1, start: 0, end: 3 }] }).valid, true);
+    assert.equal(validateRenderPayload({ timeline: [{ type: 'color', track: 1, start: 0 }] }).errors[0].expected, 'number (or `end`)');
+});
+
+test('timeline items of an unknown type are errors', () => {
+    const { errors } = validateRenderPayload({ timeline: [{ type: 'gif' }] });
+    assert.deepEqual(errors, [{ path: 'timeline[0].type', expected: 'one of: video, image, color, audio, subtitle, text', got: 'gif' }]);
+    assert.equal(validateRenderPayload({ timeline: [] }).errors[0].expected, 'non-empty array');
+});
+
+test('V1-only effects are warned about with a timeline', () => {
+    const { valid, warnings } = validateRenderPayload({ timeline: [VIDEO], effects: { speed: 2, audio: { music_url: 'https://example.com/m.mp3' } } });
+    assert.equal(valid, true);
+    assert.deepEqual(warnings.map(w => w.path), ['effects.speed', 'effects.audio.music_url']);
+    assert.deepEqual(validateRenderPayload({ effects: { speed: 2 } }).warnings, []);
+});